@@ -24,15 +24,40 @@
  * The controller for the root of the Glyptodon Enterprise session player web
  * application.
  */
-angular.module('app').controller('appController', ['$scope', function appController($scope) {
+angular.module('app').controller('appController', ['$scope', '$window', '$injector',
+    function appController($scope, $window, $injector) {
+
+    // Required types
+    var DeepLink = $injector.get('DeepLink');
+
+    // Required services
+    var EmbeddingAPI       = $injector.get('EmbeddingAPI');
+    var RecordingIntegrity = $injector.get('RecordingIntegrity');
 
     /**
-     * The currently selected recording, or null if no recording is selected.
+     * The currently selected recording, or null if no recording is selected
+     * or the selected recording was specified by URL.
      *
      * @type {Blob}
      */
     $scope.selectedRecording = null;
 
+    /**
+     * The URL of the currently selected recording, or null if no recording is
+     * selected or the selected recording is a local file.
+     *
+     * @type {String}
+     */
+    $scope.selectedURL = null;
+
+    /**
+     * The URL currently entered within the recording selector, which will
+     * become the selected recording once submitted.
+     *
+     * @type {String}
+     */
+    $scope.enteredURL = '';
+
     /**
      * Whether the session recording player within the application is currently
      * playing a recording.
@@ -48,15 +73,265 @@ angular.module('app').controller('appController', ['$scope', function appControl
      */
     $scope.error = false;
 
-    // Clear any errors if a new recording is loading
+    /**
+     * A human-readable message describing the error that prevented the
+     * requested recording from being loaded, or null if no such error
+     * occurred or no message is available.
+     *
+     * @type {String}
+     */
+    $scope.errorMessage = null;
+
+    /**
+     * The code identifying the type of error that prevented the requested
+     * recording from being loaded, as defined by RecordingError, or null if
+     * no such error occurred or the type of error is unknown.
+     *
+     * @type {String}
+     */
+    $scope.errorCode = null;
+
+    /**
+     * Technical details describing the underlying cause of the error that
+     * prevented the requested recording from being loaded, or null if no
+     * such error occurred or no details are available.
+     *
+     * @type {String}
+     */
+    $scope.errorDetails = null;
+
+    /**
+     * Whether the player should display internal statistics for debugging
+     * purposes, as requested via the "debug" query parameter.
+     *
+     * @type {Boolean}
+     */
+    $scope.debug = /[?&]debug(=|&|$)/.test($window.location.search);
+
+    /**
+     * The SHA-256 hash of the current recording, as a lowercase hexadecimal
+     * string, or null if no recording is selected or the hash has not yet
+     * been calculated.
+     *
+     * @type {String}
+     */
+    $scope.recordingHash = null;
+
+    /**
+     * The manifest chosen by the user to verify recordings against, or null
+     * if no manifest has been chosen.
+     *
+     * @type {File}
+     */
+    $scope.selectedManifest = null;
+
+    /**
+     * The result of verifying the current recording against the selected
+     * manifest, or null if verification has not yet completed.
+     *
+     * @type {RecordingIntegrity.Result}
+     */
+    $scope.verification = null;
+
+    /**
+     * The range of the recording requested via the "t" parameter within the
+     * fragment of the URL, or null if no range was requested.
+     *
+     * @type {DeepLink.Range}
+     */
+    $scope.requestedRange = DeepLink.parse($window.location.hash);
+
+    /**
+     * Whether the current recording has finished loading, such that changes
+     * in playback position should be reflected within the URL.
+     *
+     * @type {Boolean}
+     */
+    var recordingLoaded = false;
+
+    /**
+     * The minimum number of milliseconds between updates to the URL while
+     * the playback position changes. Browsers limit how frequently the
+     * history may be modified, and playback at high speeds or seeking may
+     * change the position many times each second.
+     *
+     * @constant
+     * @type {Number}
+     */
+    var URL_UPDATE_INTERVAL = 1000;
+
+    /**
+     * The most recent playback position which has not yet been reflected
+     * within the URL, or null if the URL is up to date.
+     *
+     * @type {Number}
+     */
+    var pendingPosition = null;
+
+    /**
+     * The ID of the timeout which will allow the URL to be updated again, or
+     * null if the URL may be updated immediately.
+     *
+     * @type {Number}
+     */
+    var urlUpdateTimeout = null;
+
+    /**
+     * Updates the URL to reflect the pending playback position, preserving
+     * the end of the requested range until that end is reached. If there is
+     * no pending position, this function has no effect.
+     */
+    var updateURL = function updateURL() {
+
+        var position = pendingPosition;
+        if (position === null)
+            return;
+
+        pendingPosition = null;
+
+        var range = $scope.requestedRange;
+        var end = range && range.end !== null && position < range.end ? range.end : null;
+
+        var url = DeepLink.getURL(position, end);
+        if (url !== $window.location.href)
+            $window.history.replaceState($window.history.state, '', url);
+
+    };
+
+    /**
+     * Updates the URL to reflect the given playback position, deferring the
+     * update if the URL was updated less than URL_UPDATE_INTERVAL
+     * milliseconds ago.
+     *
+     * @param {Number} position
+     *     The current playback position, in milliseconds.
+     */
+    var scheduleURLUpdate = function scheduleURLUpdate(position) {
+
+        pendingPosition = position;
+        if (urlUpdateTimeout !== null)
+            return;
+
+        updateURL();
+
+        urlUpdateTimeout = $window.setTimeout(function intervalElapsed() {
+            urlUpdateTimeout = null;
+            if (pendingPosition !== null)
+                scheduleURLUpdate(pendingPosition);
+        }, URL_UPDATE_INTERVAL);
+
+    };
+
+    /**
+     * Selects the recording at the given URL, replacing any currently selected
+     * recording. If the URL is blank, this function has no effect.
+     *
+     * @param {String} url
+     *     The URL of the recording to select.
+     */
+    $scope.openURL = function openURL(url) {
+
+        if (!url)
+            return;
+
+        $scope.selectedRecording = null;
+        $scope.selectedURL = url;
+        $scope.enteredURL = '';
+
+    };
+
+    // A newly-chosen local file replaces any recording selected by URL
+    $scope.$watch('selectedRecording', function recordingSelected(recording) {
+        if (recording)
+            $scope.selectedURL = null;
+    });
+
+    // Automatically open any recording specified via the "url" query
+    // parameter
+    var urlParameter = /[?&]url=([^&]*)/.exec($window.location.search);
+    if (urlParameter)
+        $scope.openURL(decodeURIComponent(urlParameter[1].replace(/\+/g, ' ')));
+
+    // Jump to any range subsequently entered within the URL
+    $window.addEventListener('hashchange', function hashChanged() {
+        var range = DeepLink.parse($window.location.hash);
+        if (range) {
+            $scope.$apply(function rangeRequested() {
+                $scope.requestedRange = range;
+            });
+        }
+    });
+
+    // Update the URL to reflect the current playback position
+    $scope.$on('glenPlayerSeek', function positionChanged(event, position) {
+        if (recordingLoaded)
+            scheduleURLUpdate(position);
+    });
+
+    // Reflect changes in playback position only once the recording is
+    // ready to be viewed
+    $scope.$on('glenPlayerLoaded', function loadingComplete() {
+        recordingLoaded = true;
+    });
+
+    // Clear any errors and prior verification if a new recording is loading
     $scope.$on('glenPlayerLoading', function loadingStarted() {
+        recordingLoaded = false;
+        pendingPosition = null;
         $scope.error = false;
+        $scope.errorMessage = null;
+        $scope.errorCode = null;
+        $scope.errorDetails = null;
+        $scope.recordingHash = null;
+    });
+
+    // Store the hash of the recording once calculated
+    $scope.$on('glenPlayerHash', function recordingHashed(event, hash) {
+        $scope.recordingHash = hash;
+    });
+
+    // Verify the current recording against the selected manifest whenever
+    // either changes
+    $scope.$watchGroup(['recordingHash', 'selectedManifest'], function verifyRecording(values) {
+
+        var hash = values[0];
+        var manifest = values[1];
+
+        $scope.verification = null;
+
+        if (!hash)
+            return;
+
+        if (!manifest) {
+            $scope.verification = new RecordingIntegrity.Result(RecordingIntegrity.UNVERIFIED,
+                'No manifest has been provided to verify this recording against.');
+            return;
+        }
+
+        var name = $scope.selectedRecording ? $scope.selectedRecording.name : $scope.selectedURL;
+        RecordingIntegrity.verify(hash, name, manifest, function recordingVerified(result) {
+
+            // Ignore results for recordings/manifests no longer selected
+            if (hash !== $scope.recordingHash || manifest !== $scope.selectedManifest)
+                return;
+
+            $scope.$apply(function verificationComplete() {
+                $scope.verification = result;
+            });
+
+        });
+
     });
 
     // Update error status if a failure occurs
-    $scope.$on('glenPlayerError', function recordingError() {
+    $scope.$on('glenPlayerError', function recordingError(event, message, error) {
         $scope.selectedRecording = null;
+        $scope.selectedURL = null;
+        $scope.recordingHash = null;
         $scope.error = true;
+        $scope.errorMessage = message || null;
+        $scope.errorCode = (error && error.code) || null;
+        $scope.errorDetails = (error && error.details) || null;
     });
 
     // Update playing/paused status when playback starts
@@ -67,6 +342,79 @@ angular.module('app').controller('appController', ['$scope', function appControl
     // Update playing/paused status when playback stops
     $scope.$on('glenPlayerPause', function playbackStopped() {
         $scope.playing = false;
+        updateURL();
+    });
+
+    // Carry out commands sent by the page embedding the player, if any
+    EmbeddingAPI.listen(function commandReceived(command) {
+        $scope.$apply(function executeCommand() {
+            switch (command.command) {
+
+                case 'load':
+                    if (command.blob)
+                        $scope.selectedRecording = command.blob;
+                    else
+                        $scope.openURL(command.url);
+                    break;
+
+                case 'play':
+                    $scope.$broadcast('glenPlayerRequestPlay');
+                    break;
+
+                case 'pause':
+                    $scope.$broadcast('glenPlayerRequestPause');
+                    break;
+
+                case 'seek':
+                    $scope.$broadcast('glenPlayerRequestSeek', command.position);
+                    break;
+
+                case 'speed':
+                    $scope.$broadcast('glenPlayerRequestSpeed', command.rate);
+                    break;
+
+            }
+        });
+    });
+
+    // Forward changes in player state to the page embedding the player, if
+    // any
+
+    $scope.$on('glenPlayerLoading', function forwardLoading() {
+        EmbeddingAPI.sendEvent('loading');
+    });
+
+    $scope.$on('glenPlayerLoaded', function forwardLoaded() {
+        EmbeddingAPI.sendEvent('loaded');
+    });
+
+    $scope.$on('glenPlayerProgress', function forwardProgress(event, duration, loaded) {
+        EmbeddingAPI.sendEvent('progress', {
+            duration : duration,
+            loaded   : loaded
+        });
+    });
+
+    $scope.$on('glenPlayerError', function forwardError(event, message, error) {
+        EmbeddingAPI.sendEvent('error', {
+            message : message || null,
+            code    : (error && error.code) || null,
+            details : (error && error.details) || null
+        });
+    });
+
+    $scope.$on('glenPlayerPlay', function forwardPlay() {
+        EmbeddingAPI.sendEvent('play');
+    });
+
+    $scope.$on('glenPlayerPause', function forwardPause() {
+        EmbeddingAPI.sendEvent('pause');
+    });
+
+    $scope.$on('glenPlayerSeek', function forwardSeek(event, position) {
+        EmbeddingAPI.sendEvent('seek', {
+            position : position
+        });
     });
 
 }]);
@@ -0,0 +1,343 @@
+/*
+ * Copyright (C) 2019 Glyptodon, Inc.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+ * THE SOFTWARE.
+ */
+
+/**
+ * Defines the EmbeddingAPI service.
+ */
+angular.module('app').factory('EmbeddingAPI', ['$injector', '$window',
+    function defineEmbeddingAPI($injector, $window) {
+
+    // Required types
+    var SessionRecording = $injector.get('SessionRecording');
+
+    /**
+     * The names of all commands which may be sent by the parent frame,
+     * mapped to functions which validate the properties of those commands.
+     * Each function returns a human-readable message describing why the
+     * given command is invalid, or null if the command is valid.
+     *
+     * @private
+     * @constant
+     * @type {Object.<String, Function>}
+     */
+    var COMMANDS = {
+
+        'load' : function validateLoad(command) {
+            if (command.blob instanceof $window.Blob)
+                return null;
+            if (typeof command.url === 'string' && command.url)
+                return null;
+            return 'A "load" command must provide either a "blob" (a Blob or File) or a "url" (a string).';
+        },
+
+        'play' : function validatePlay() {
+            return null;
+        },
+
+        'pause' : function validatePause() {
+            return null;
+        },
+
+        'seek' : function validateSeek(command) {
+            if (typeof command.position === 'number' && isFinite(command.position) && command.position >= 0)
+                return null;
+            return 'A "seek" command must provide a "position" (a non-negative number of milliseconds).';
+        },
+
+        'speed' : function validateSpeed(command) {
+            if (typeof command.rate === 'number'
+                    && command.rate >= SessionRecording.MIN_PLAYBACK_RATE
+                    && command.rate <= SessionRecording.MAX_PLAYBACK_RATE)
+                return null;
+            return 'A "speed" command must provide a "rate" (a number from '
+                + SessionRecording.MIN_PLAYBACK_RATE + ' to ' + SessionRecording.MAX_PLAYBACK_RATE
+                + ', where 1 is normal speed).';
+        }
+
+    };
+
+    /**
+     * The origins which are permitted to control the player, as listed
+     * within the file at ALLOWED_ORIGINS_URL. The special origin "*" permits
+     * any origin. Until that file has been retrieved, this will be empty.
+     *
+     * @private
+     * @type {String[]}
+     */
+    var allowedOrigins = [];
+
+    /**
+     * The origin of the parent frame, as determined by the most recent
+     * command accepted from that frame, or null if no command has yet been
+     * accepted.
+     *
+     * @private
+     * @type {String}
+     */
+    var parentOrigin = null;
+
+    /**
+     * Returns whether the player is embedded within another page, such that
+     * there is a parent frame which may control the player.
+     *
+     * @private
+     * @returns {Boolean}
+     *     true if the player is embedded within another page, false
+     *     otherwise.
+     */
+    var isEmbedded = function isEmbedded() {
+        return $window.parent && $window.parent !== $window;
+    };
+
+    /**
+     * Returns whether the given origin is permitted to control the player.
+     *
+     * @private
+     * @param {String} origin
+     *     The origin to test, as provided by a MessageEvent.
+     *
+     * @returns {Boolean}
+     *     true if the given origin is permitted to control the player, false
+     *     otherwise.
+     */
+    var isAllowed = function isAllowed(origin) {
+        return allowedOrigins.indexOf('*') !== -1 || allowedOrigins.indexOf(origin) !== -1;
+    };
+
+    /**
+     * Parses the given list of allowed origins, which must contain one
+     * origin per line. Blank lines, lines beginning with "#", and lines which
+     * do not contain a valid origin are ignored.
+     *
+     * @private
+     * @param {String} text
+     *     The content of the file at ALLOWED_ORIGINS_URL.
+     *
+     * @returns {String[]}
+     *     An array of all valid origins listed, normalized to the form used
+     *     by MessageEvent (scheme, host, and any non-default port).
+     */
+    var parseOrigins = function parseOrigins(text) {
+
+        var origins = [];
+
+        text.split(/\r?\n/).forEach(function parseLine(line) {
+
+            line = line.trim();
+            if (!line || line.charAt(0) === '#')
+                return;
+
+            if (line === '*') {
+                origins.push(line);
+                return;
+            }
+
+            // Normalize origins (such as those with trailing slashes or
+            // default ports) so that they can be compared directly
+            try {
+                var origin = new URL(line).origin;
+                if (origin && origin !== 'null')
+                    origins.push(origin);
+            }
+            catch (e) {
+                // Ignore invalid origins
+            }
+
+        });
+
+        return origins;
+
+    };
+
+    /**
+     * Service which allows the player to be controlled by the page
+     * containing it when the player is embedded within an iframe. The
+     * parent frame controls the player using window.postMessage(), and is
+     * notified of changes in the state of the player through messages posted
+     * in return. Only origins listed within the file at ALLOWED_ORIGINS_URL
+     * may control the player or receive its messages.
+     */
+    var EmbeddingAPI = {};
+
+    /**
+     * The version of the messaging protocol implemented by this service.
+     * Commands must specify this version to be accepted, and all messages
+     * sent to the parent frame include this version.
+     *
+     * @constant
+     * @type {Number}
+     */
+    EmbeddingAPI.VERSION = 1;
+
+    /**
+     * The value of the "type" property of all commands sent by the parent
+     * frame to the player.
+     *
+     * @constant
+     * @type {String}
+     */
+    EmbeddingAPI.COMMAND_TYPE = 'glen-player-command';
+
+    /**
+     * The value of the "type" property of all messages sent by the player to
+     * the parent frame.
+     *
+     * @constant
+     * @type {String}
+     */
+    EmbeddingAPI.EVENT_TYPE = 'glen-player-event';
+
+    /**
+     * The URL of the file listing the origins permitted to control the
+     * player, relative to the page containing the player. The file must
+     * contain one origin per line, such as "https://example.net". If the file
+     * cannot be retrieved, the player cannot be controlled by its parent
+     * frame.
+     *
+     * @constant
+     * @type {String}
+     */
+    EmbeddingAPI.ALLOWED_ORIGINS_URL = 'allowed-origins.txt';
+
+    /**
+     * Sends the given event to the parent frame. If a command has been
+     * accepted from the parent frame, the event is sent only to the origin
+     * of that command. Otherwise, the event is sent to each allowed origin,
+     * and will be received only if the parent frame has that origin. If the
+     * player is not embedded, this function has no effect.
+     *
+     * @param {String} name
+     *     The name of the event, such as "play" or "seek".
+     *
+     * @param {Object} [properties]
+     *     Any additional properties describing the event, which must be
+     *     supported by the structured clone algorithm.
+     */
+    EmbeddingAPI.sendEvent = function sendEvent(name, properties) {
+
+        if (!isEmbedded())
+            return;
+
+        var message = angular.extend({}, properties, {
+            type    : EmbeddingAPI.EVENT_TYPE,
+            version : EmbeddingAPI.VERSION,
+            event   : name
+        });
+
+        var targets = parentOrigin ? [ parentOrigin ] : allowedOrigins;
+        targets.forEach(function sendToOrigin(origin) {
+            $window.parent.postMessage(message, origin);
+        });
+
+    };
+
+    /**
+     * Begins accepting commands from the parent frame, invoking the given
+     * callback for each valid command received from an allowed origin. Once
+     * the allowed origins have been retrieved, a "ready" event is sent to
+     * the parent frame. Invalid commands are rejected with a "rejected"
+     * event describing the problem. If the player is not embedded, or no
+     * origins are allowed, this function has no effect.
+     *
+     * @param {Function} callback
+     *     The callback to invoke with each valid command. The command is
+     *     provided as an object containing a "command" property with the
+     *     name of the command, such as "play" or "seek", along with any
+     *     properties specific to that command.
+     */
+    EmbeddingAPI.listen = function listen(callback) {
+
+        if (!isEmbedded())
+            return;
+
+        var request = new XMLHttpRequest();
+        request.open('GET', EmbeddingAPI.ALLOWED_ORIGINS_URL);
+
+        request.onload = function originsRetrieved() {
+
+            if (request.status < 200 || request.status >= 300)
+                return;
+
+            allowedOrigins = parseOrigins(request.responseText);
+            if (!allowedOrigins.length)
+                return;
+
+            $window.addEventListener('message', function messageReceived(e) {
+
+                var command = e.data;
+
+                // Ignore messages which are not commands from an allowed
+                // parent frame
+                if (e.source !== $window.parent || !isAllowed(e.origin)
+                        || !command || command.type !== EmbeddingAPI.COMMAND_TYPE)
+                    return;
+
+                parentOrigin = e.origin;
+
+                /**
+                 * Notifies the parent frame that the current command has
+                 * been rejected for the given reason.
+                 *
+                 * @private
+                 * @param {String} message
+                 *     A human-readable message describing why the command
+                 *     was rejected.
+                 */
+                var reject = function reject(message) {
+                    EmbeddingAPI.sendEvent('rejected', {
+                        command : typeof command.command === 'string' ? command.command : null,
+                        message : message
+                    });
+                };
+
+                if (command.version !== EmbeddingAPI.VERSION) {
+                    reject('Version ' + command.version + ' of the messaging protocol is not supported. '
+                        + 'Only version ' + EmbeddingAPI.VERSION + ' is supported.');
+                    return;
+                }
+
+                if (!COMMANDS.hasOwnProperty(command.command)) {
+                    reject('"' + command.command + '" is not a recognized command.');
+                    return;
+                }
+
+                var problem = COMMANDS[command.command](command);
+                if (problem) {
+                    reject(problem);
+                    return;
+                }
+
+                callback(command);
+
+            });
+
+            EmbeddingAPI.sendEvent('ready');
+
+        };
+
+        request.send();
+
+    };
+
+    return EmbeddingAPI;
+
+}]);
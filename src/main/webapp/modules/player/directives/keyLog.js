@@ -0,0 +1,149 @@
+/*
+ * Copyright (C) 2019 Glyptodon, Inc.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+ * THE SOFTWARE.
+ */
+
+/**
+ * Directive which displays the keys pressed within a session recording as
+ * readable text, grouped into lines. Clicking any key press requests that
+ * playback seek to the moment that key was pressed. The typed text may also
+ * be searched, with each match likewise allowing playback to seek to the
+ * moment the matching text was typed.
+ */
+angular.module('player').directive('glenPlayerKeyLog', ['$injector', function glenPlayerKeyLog($injector) {
+
+    // Required types
+    var KeyEventInterpreter = $injector.get('KeyEventInterpreter');
+
+    /**
+     * The maximum number of milliseconds which may elapse between consecutive
+     * key presses within the same group. A longer pause begins a new group.
+     *
+     * @constant
+     * @type {Number}
+     */
+    var GROUP_INTERVAL = 5000;
+
+    var config = {
+        restrict : 'E',
+        templateUrl : 'modules/player/templates/keyLog.html'
+    };
+
+    config.scope = {
+
+        /**
+         * All key presses within the recording, in chronological order, as
+         * returned by SessionRecording.getKeyEvents().
+         *
+         * @type {KeyEventInterpreter.KeyEvent[]}
+         */
+        events : '=',
+
+        /**
+         * All occurrences of the text currently being searched for within
+         * the typed text, in chronological order. This value is updated
+         * automatically as the search changes.
+         *
+         * @type {KeyEventInterpreter.SearchResult[]}
+         */
+        matches : '=',
+
+        /**
+         * Callback which formats the given position within the recording,
+         * in milliseconds, as human-readable text. The position is provided
+         * to the callback as "value".
+         *
+         * @type {Function}
+         */
+        formatTime : '&',
+
+        /**
+         * Callback which seeks to the given position within the recording,
+         * in milliseconds. The position is provided to the callback as
+         * "position".
+         *
+         * @type {Function}
+         */
+        seek : '&'
+
+    };
+
+    config.controller = ['$scope', function glenPlayerKeyLogController($scope) {
+
+        /**
+         * All key presses within the recording, grouped into lines of typed
+         * text. Each group is an object with a "timestamp" property
+         * containing the timestamp of its first key press and an "events"
+         * property containing the key presses within that group. Groups end
+         * when Enter is pressed or after a pause in typing.
+         *
+         * @type {Object[]}
+         */
+        $scope.groups = [];
+
+        /**
+         * The text currently being searched for within the typed text.
+         *
+         * @type {String}
+         */
+        $scope.query = '';
+
+        // Regroup key presses whenever a new set of events is provided
+        $scope.$watch('events', function eventsChanged(events) {
+
+            var groups = [];
+            var group = null;
+            var lastTimestamp = 0;
+
+            angular.forEach(events, function groupEvent(event) {
+
+                // Begin a new group if necessary
+                if (!group || event.timestamp - lastTimestamp > GROUP_INTERVAL) {
+                    group = {
+                        timestamp : event.timestamp,
+                        events : []
+                    };
+                    groups.push(group);
+                }
+
+                group.events.push(event);
+                lastTimestamp = event.timestamp;
+
+                // Each new line of text is a new group
+                if (event.text === '\n')
+                    group = null;
+
+            });
+
+            $scope.groups = groups;
+
+        });
+
+        // Update search results whenever the search or the searched key
+        // presses change
+        $scope.$watchGroup(['events', 'query'], function searchChanged(values) {
+            $scope.matches = KeyEventInterpreter.search(values[0], values[1]);
+        });
+
+    }];
+
+    return config;
+
+}]);
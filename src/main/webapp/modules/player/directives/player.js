@@ -30,8 +30,11 @@
  *
  *     "glenPlayerError":
  *         The current recording cannot be loaded or played due to an error.
- *         The recording may be unreadable (lack of permissions) or corrupt
- *         (protocol error).
+ *         The recording may be unreadable (lack of permissions), corrupt
+ *         (protocol error), or impossible to download. A human-readable
+ *         message describing the error is passed to the event, followed by a
+ *         RecordingError whose code identifies the type of error and whose
+ *         details describe the underlying cause.
  *
  *     "glenPlayerProgress"
  *         Additional data has been loaded for the current recording and the
@@ -41,6 +44,11 @@
  *     "glenPlayerLoaded"
  *         The current recording has finished loading.
  *
+ *     "glenPlayerHash"
+ *         The SHA-256 hash of the current recording, exactly as provided or
+ *         downloaded, has been calculated. The hash is passed to the event as
+ *         a lowercase hexadecimal string.
+ *
  *     "glenPlayerPlay"
  *         Playback of the current recording has started or has been resumed.
  *
@@ -51,200 +59,1539 @@
  *         The playback position of the current recording has changed. The new
  *         position within the recording is passed to the event as the number
  *         of milliseconds since the start of the recording.
+ *
+ * The directive also responds to the following events, which may be broadcast
+ * by any parent scope to control playback:
+ *
+ *     "glenPlayerRequestPlay"
+ *         Starts or resumes playback of the current recording.
+ *
+ *     "glenPlayerRequestPause"
+ *         Pauses playback of the current recording.
+ *
+ *     "glenPlayerRequestSeek"
+ *         Seeks to a different position within the current recording. The
+ *         desired position, in milliseconds, must be passed to the event.
+ *
+ *     "glenPlayerRequestSpeed"
+ *         Changes the rate at which recordings are played back. The desired
+ *         rate, where 1 is normal speed, must be passed to the event. Rates
+ *         outside the range supported by SessionRecording are clamped to
+ *         that range.
  */
 angular.module('player').directive('glenPlayer', ['$injector', function glenPlayer($injector) {
 
     // Required types
+    var DeepLink         = $injector.get('DeepLink');
     var SessionRecording = $injector.get('SessionRecording');
 
+    // Required services
+    var AnnotationStore = $injector.get('AnnotationStore');
+
     var config = {
         restrict : 'E',
         templateUrl : 'modules/player/templates/player.html'
     };
 
-    config.scope = {
+    config.scope = {
+
+        /**
+         * A Blob containing the Guacamole session recording to load.
+         *
+         * @type {Blob}
+         */
+        blob : '=',
+
+        /**
+         * The URL of the Guacamole session recording to load. This value is
+         * ignored if a Blob has been provided via the "blob" attribute.
+         *
+         * @type {String}
+         */
+        src : '=',
+
+        /**
+         * The range of the recording which should be played. Once enough of
+         * the recording has loaded, the player seeks to the start of this
+         * range, and playback pauses upon reaching the end of the range (if
+         * any). Assigning a new range applies that range to the current
+         * recording.
+         *
+         * @type {DeepLink.Range}
+         */
+        range : '=?',
+
+        /**
+         * The maximum number of bytes of keyframe state which should be held
+         * in memory for each recording. If omitted, the default limit of
+         * KeyframeCache is used.
+         *
+         * @type {Number}
+         */
+        keyframeMemoryLimit : '=?',
+
+        /**
+         * Whether keyframe state which exceeds the memory limit should be
+         * retained within IndexedDB rather than discarded and regenerated
+         * when needed. By default, such state is discarded.
+         *
+         * @type {Boolean}
+         */
+        keyframeStorage : '=?',
+
+        /**
+         * Whether internal statistics, such as the state of the keyframe
+         * cache, should be displayed for debugging purposes.
+         *
+         * @type {Boolean}
+         */
+        debug : '=?'
+
+    };
+
+    config.controller = ['$scope', '$element', '$injector',
+        function glenPlayerController($scope, $element, $injector) {
+
+        // Required services
+        var $interval = $injector.get('$interval');
+        var $timeout  = $injector.get('$timeout');
+        var $window   = $injector.get('$window');
+
+        /**
+         * The number of milliseconds between updates of the statistics shown
+         * within the debug view.
+         *
+         * @private
+         * @constant
+         * @type {Number}
+         */
+        var STATISTICS_INTERVAL = 1000;
+
+        /**
+         * The number of milliseconds that confirmation should be shown after
+         * a link to the current position has been copied.
+         *
+         * @private
+         * @constant
+         * @type {Number}
+         */
+        var LINK_COPIED_DURATION = 2000;
+
+        /**
+         * The number of milliseconds after a file has been saved before the
+         * object URL used to save that file is revoked.
+         *
+         * @private
+         * @constant
+         * @type {Number}
+         */
+        var OBJECT_URL_LIFETIME = 60000;
+
+        /**
+         * The number of milliseconds to seek forward or backward when the
+         * left or right arrow keys are pressed.
+         *
+         * @private
+         * @constant
+         * @type {Number}
+         */
+        var SHORT_SEEK_DISTANCE = 5000;
+
+        /**
+         * The number of milliseconds to seek forward or backward when the up
+         * or down arrow keys are pressed.
+         *
+         * @private
+         * @constant
+         * @type {Number}
+         */
+        var LONG_SEEK_DISTANCE = 30000;
+
+        /**
+         * The number of equal periods that the current recording should be
+         * divided into when showing its activity along the playback position
+         * slider.
+         *
+         * @private
+         * @constant
+         * @type {Number}
+         */
+        var ACTIVITY_PERIODS = 200;
+
+        /**
+         * The width of the preview shown when hovering over the playback
+         * position slider, in pixels.
+         *
+         * @private
+         * @constant
+         * @type {Number}
+         */
+        var PREVIEW_WIDTH = 192;
+
+        /**
+         * SessionRecording instance to be used to playback the session
+         * recording given via $scope.blob or $scope.src. If the recording has
+         * not yet been loaded, this will be null.
+         *
+         * @type {SessionRecording}
+         */
+        $scope.recording = null;
+
+        /**
+         * The current playback position, in milliseconds. If a seek request is
+         * in progress, this will be the desired playback position of the
+         * pending request.
+         *
+         * @type {Number}
+         */
+        $scope.playbackPosition = 0;
+
+        /**
+         * Human-readable text describing the operation currently running in
+         * the background, or null if no such operation is running.
+         *
+         * @type {String}
+         */
+        $scope.operationText = null;
+
+        /**
+         * The current progress toward completion of the operation running in
+         * the background, where 0 represents no progress and 1 represents full
+         * completion. If no such operation is running, this value has no
+         * meaning.
+         *
+         * @type {Number}
+         */
+        $scope.operationProgress = 0;
+
+        /**
+         * Whether the current recording is encrypted and is awaiting a
+         * passphrase from the user.
+         *
+         * @type {Boolean}
+         */
+        $scope.passphraseRequired = false;
+
+        /**
+         * Whether the passphrase most recently provided by the user for the
+         * current recording was incorrect.
+         *
+         * @type {Boolean}
+         */
+        $scope.passphraseIncorrect = false;
+
+        /**
+         * The fraction of keyframes within the current recording which have
+         * been generated in the background, where 0 represents no progress and
+         * 1 represents full completion. Until all keyframes are generated,
+         * seeking may require replaying large portions of the recording.
+         *
+         * @type {Number}
+         */
+        $scope.keyframeProgress = 0;
+
+        /**
+         * The most recent statistics describing the keyframe cache of the
+         * current recording. These statistics are updated periodically only
+         * while the debug view is shown. If no statistics have been retrieved,
+         * this will be null.
+         *
+         * @type {KeyframeCache.Statistics}
+         */
+        $scope.keyframeCacheStatistics = null;
+
+        /**
+         * The position within the recording of the current seek operation, in
+         * milliseconds. If a seek request is not in progress, this will be
+         * null.
+         *
+         * @type {Number}
+         */
+        $scope.seekPosition = null;
+
+        /**
+         * The playback rates which may be selected by the user, where 1 is
+         * normal speed, 2 is double speed, etc.
+         *
+         * @type {Number[]}
+         */
+        $scope.playbackRates = [ 0.25, 0.5, 1, 1.5, 2, 4, 8, 16 ];
+
+        /**
+         * The playback rate selected by the user. This rate is applied to each
+         * newly-loaded recording.
+         *
+         * @type {Number}
+         */
+        $scope.playbackRate = 1;
+
+        /**
+         * Whether periods of inactivity within the recording should be
+         * shortened during playback.
+         *
+         * @type {Boolean}
+         */
+        $scope.skipInactivity = false;
+
+        /**
+         * The duration of the longest period of inactivity which should be
+         * played back in full, in milliseconds. Longer periods will be
+         * shortened to this duration if skipInactivity is true, and are
+         * highlighted within the playback position slider regardless.
+         *
+         * @type {Number}
+         */
+        $scope.inactivityThreshold = 2000;
+
+        /**
+         * All periods of inactivity within the current recording which exceed
+         * the inactivity threshold, as returned by getIdlePeriods(). If no
+         * recording has been fully loaded, this will be empty.
+         *
+         * @type {Object[]}
+         */
+        $scope.idlePeriods = [];
+
+        /**
+         * The relative level of activity within each period of the current
+         * recording which contains any activity, as an array of objects
+         * containing "start" and "end" properties (the position of the period
+         * in milliseconds) and a "level" property (a number between 0 and 1).
+         * If no recording has been fully loaded, this will be empty.
+         *
+         * @type {Object[]}
+         */
+        $scope.activityLevels = [];
+
+        /**
+         * The position within the current recording currently being hovered
+         * over within the playback position slider, in milliseconds, or null
+         * if the slider is not being hovered over.
+         *
+         * @type {Number}
+         */
+        $scope.previewPosition = null;
+
+        /**
+         * A data URL containing the most recently rendered preview of the
+         * position being hovered over within the playback position slider, or
+         * null if no preview has been rendered.
+         *
+         * @type {String}
+         */
+        $scope.previewImage = null;
+
+        /**
+         * All key presses within the current recording, as returned by
+         * getKeyEvents(). If no recording has been fully loaded, this will be
+         * empty.
+         *
+         * @type {KeyEventInterpreter.KeyEvent[]}
+         */
+        $scope.keyEvents = [];
+
+        /**
+         * The state of the search within the key presses of the current
+         * recording. The "matches" property contains all occurrences of the
+         * text searched for, as returned by KeyEventInterpreter.search(). As
+         * the key log exists within the child scope of ng-if, its results are
+         * stored within this object rather than directly within the scope,
+         * such that they are not hidden from the playback position slider.
+         *
+         * @type {Object}
+         */
+        $scope.keyLogSearch = {
+            matches : []
+        };
+
+        /**
+         * Whether the panel listing the key presses within the current
+         * recording should be displayed.
+         *
+         * @type {Boolean}
+         */
+        $scope.showKeyLog = false;
+
+        /**
+         * Whether the panel describing the content of the current recording
+         * should be displayed.
+         *
+         * @type {Boolean}
+         */
+        $scope.showInfo = false;
+
+        /**
+         * Statistics describing the content of the current recording, or
+         * null if the recording has not yet finished loading.
+         *
+         * @type {SessionRecording.Statistics}
+         */
+        $scope.recordingStatistics = null;
+
+        /**
+         * The number of times each instruction occurs within the current
+         * recording, as an array of objects containing "name" and "count"
+         * properties, sorted from most to least frequent.
+         *
+         * @type {Object[]}
+         */
+        $scope.instructionCounts = [];
+
+        /**
+         * The number of streams of each mimetype opened within the current
+         * recording, as an array of objects containing "name" and "count"
+         * properties, sorted from most to least frequent.
+         *
+         * @type {Object[]}
+         */
+        $scope.streamCounts = [];
+
+        /**
+         * Every damaged region of the current recording which was skipped
+         * because it could not be parsed.
+         *
+         * @type {SessionRecording.DamagedRegion[]}
+         */
+        $scope.damagedRegions = [];
+
+        /**
+         * Whether the warning describing the damaged regions of the current
+         * recording should be displayed.
+         *
+         * @type {Boolean}
+         */
+        $scope.showDamageWarning = false;
+
+        /**
+         * Whether the form for exporting part of the current recording should
+         * be displayed.
+         *
+         * @type {Boolean}
+         */
+        $scope.showExport = false;
+
+        /**
+         * The portion of the current recording which should be exported, as
+         * entered by the user within the export form. The "start" and "end"
+         * properties contain times in the same format as links to specific
+         * times (see DeepLink.parseTime()).
+         *
+         * @type {Object}
+         */
+        $scope.exportRequest = {
+            start : '',
+            end   : ''
+        };
+
+        /**
+         * A human-readable message describing why the portion of the
+         * recording entered within the export form cannot be exported, or null
+         * if there is no such problem.
+         *
+         * @type {String}
+         */
+        $scope.exportError = null;
+
+        /**
+         * The SHA-256 hash of the current recording, as a lowercase
+         * hexadecimal string, or null if the hash has not yet been
+         * calculated. Annotations are stored only once this hash is known.
+         *
+         * @type {String}
+         */
+        $scope.recordingHash = null;
+
+        /**
+         * All annotations made on the current recording, sorted by position
+         * within the recording.
+         *
+         * @type {AnnotationStore.Annotation[]}
+         */
+        $scope.annotations = [];
+
+        /**
+         * Whether the panel listing the annotations made on the current
+         * recording should be displayed.
+         *
+         * @type {Boolean}
+         */
+        $scope.showAnnotations = false;
+
+        /**
+         * The annotation being written by the user, which will be added at
+         * the current playback position once submitted. The "text" property
+         * contains the content of the annotation.
+         *
+         * @type {Object}
+         */
+        $scope.newAnnotation = {
+            text : ''
+        };
+
+        /**
+         * The annotation currently being edited by the user, or null if no
+         * annotation is being edited.
+         *
+         * @type {AnnotationStore.Annotation}
+         */
+        $scope.editedAnnotation = null;
+
+        /**
+         * The changes made to the annotation currently being edited, which
+         * will be applied to that annotation once submitted. The "text"
+         * property contains the new content of the annotation.
+         *
+         * @type {Object}
+         */
+        $scope.annotationDraft = {
+            text : ''
+        };
+
+        /**
+         * A human-readable message describing the result of the most recent
+         * import of annotations, or null if there is no such message.
+         *
+         * @type {String}
+         */
+        $scope.annotationMessage = null;
+
+        /**
+         * Whether the overlay listing all keyboard shortcuts should be
+         * displayed.
+         *
+         * @type {Boolean}
+         */
+        $scope.showShortcuts = false;
+
+        /**
+         * Whether a link to the current playback position has just been
+         * copied to the clipboard.
+         *
+         * @type {Boolean}
+         */
+        $scope.linkCopied = false;
+
+        /**
+         * Whether a seek request is currently in progress. A seek request is
+         * in progress if the user is attempting to change the current playback
+         * position (the user is manipulating the playback position slider).
+         *
+         * @type {Boolean}
+         */
+        var pendingSeekRequest = false;
+
+        /**
+         * Whether playback should be resumed (play() should be invoked on the
+         * recording) once the current seek request is complete. This value
+         * only has meaning if a seek request is pending.
+         *
+         * @type {Boolean}
+         */
+        var resumeAfterSeekRequest = false;
+
+        /**
+         * Whether the current recording has finished loading.
+         *
+         * @private
+         * @type {Boolean}
+         */
+        var recordingLoaded = false;
+
+        /**
+         * The position that the player should seek to once enough of the
+         * current recording has loaded, in milliseconds, as defined by the
+         * start of the requested range. If there is no such position, or the
+         * player has already sought to that position, this will be null.
+         *
+         * @private
+         * @type {Number}
+         */
+        var pendingStart = null;
+
+        /**
+         * The position at which playback should be paused, in milliseconds,
+         * as defined by the end of the requested range. If there is no such
+         * position, or playback has already been paused there, this will be
+         * null.
+         *
+         * @private
+         * @type {Number}
+         */
+        var stopPosition = null;
+
+        /**
+         * The most recent playback position reported by the current
+         * recording, in milliseconds.
+         *
+         * @private
+         * @type {Number}
+         */
+        var lastPosition = 0;
+
+        /**
+         * The promise of the timeout which hides confirmation that a link has
+         * been copied, or null if no such confirmation is shown.
+         *
+         * @private
+         * @type {Promise}
+         */
+        var linkCopiedTimeout = null;
+
+        /**
+         * Formats the given number as a decimal string, adding leading zeroes
+         * such that the string contains at least two digits. The given number
+         * MUST NOT be negative.
+         *
+         * @param {Number} value
+         *     The number to format.
+         *
+         * @returns {String}
+         *     The decimal string representation of the given value, padded
+         *     with leading zeroes up to a minimum length of two digits.
+         */
+        var zeroPad = function zeroPad(value) {
+            return value > 9 ? value : '0' + value;
+        };
+
+        /**
+         * Converts the given object, mapping names to counts, into an array
+         * of objects containing "name" and "count" properties, sorted from
+         * highest to lowest count.
+         *
+         * @param {Object.<String, Number>} counts
+         *     The object to convert.
+         *
+         * @returns {Object[]}
+         *     An array of objects containing "name" and "count" properties,
+         *     sorted from highest to lowest count.
+         */
+        var sortCounts = function sortCounts(counts) {
+            return Object.keys(counts).map(function toEntry(name) {
+                return {
+                    name  : name,
+                    count : counts[name]
+                };
+            }).sort(function byCount(a, b) {
+                return b.count - a.count || (a.name < b.name ? -1 : 1);
+            });
+        };
+
+        /**
+         * Converts the given activity within each period of a recording into
+         * the relative level of activity within each period, as stored within
+         * $scope.activityLevels. Drawing, input, and changes in display size
+         * are each scaled logarithmically relative to the busiest period,
+         * with the level of each period being the highest of the three.
+         * Periods without any activity are omitted.
+         *
+         * @param {SessionRecording.Activity[]} periods
+         *     The activity within each period of the recording.
+         *
+         * @returns {Object[]}
+         *     The relative level of activity within each period which
+         *     contains any activity.
+         */
+        var getActivityLevels = function getActivityLevels(periods) {
+
+            var maximum = {
+                drawing : 0,
+                input   : 0,
+                resizes : 0
+            };
+
+            periods.forEach(function findMaximum(period) {
+                Object.keys(maximum).forEach(function compare(name) {
+                    maximum[name] = Math.max(maximum[name], period[name]);
+                });
+            });
+
+            return periods.map(function toLevel(period) {
+                return {
+                    start : period.start,
+                    end   : period.end,
+                    level : Math.max.apply(Math, Object.keys(maximum).map(function scale(name) {
+                        return maximum[name] ? Math.log(1 + period[name]) / Math.log(1 + maximum[name]) : 0;
+                    }))
+                };
+            }).filter(function hasActivity(period) {
+                return period.level > 0;
+            });
+
+        };
+
+        /**
+         * Formats the given quantity of milliseconds as days, hours, minutes,
+         * and whole seconds, separated by colons (DD:HH:MM:SS). Hours are
+         * included only if the quantity is at least one hour, and days are
+         * included only if the quantity is at least one day. All included
+         * groups are zero-padded to two digits with the exception of the
+         * left-most group.
+         *
+         * @param {Number} value
+         *     The time to format, in milliseconds.
+         *
+         * @returns {String}
+         *     The given quantity of milliseconds formatted as "DD:HH:MM:SS".
+         */
+        $scope.formatTime = function formatTime(value) {
+
+            // Round provided value down to whole seconds
+            value = Math.floor((value || 0) / 1000);
+
+            // Separate seconds into logical groups of seconds, minutes,
+            // hours, etc.
+            var groups = [ 1, 24, 60, 60 ];
+            for (var i = groups.length - 1; i >= 0; i--) {
+                var placeValue = groups[i];
+                groups[i] = zeroPad(value % placeValue);
+                value = Math.floor(value / placeValue);
+            }
+
+            // Format groups separated by colons, stripping leading zeroes and
+            // groups which are entirely zeroes, leaving at least minutes and
+            // seconds
+            var formatted = groups.join(':');
+            return /^[0:]*([0-9]{1,2}(?::[0-9]{2})+)$/.exec(formatted)[1];
+
+        };
+
+        /**
+         * Pauses playback and decouples the position slider from current
+         * playback position, allowing the user to manipulate the slider
+         * without interference. Playback state will be resumed following a
+         * call to commitSeekRequest().
+         */
+        $scope.beginSeekRequest = function beginSeekRequest() {
+
+            // If a recording is present, pause and save state if we haven't
+            // already done so
+            if ($scope.recording && !pendingSeekRequest) {
+                resumeAfterSeekRequest = $scope.recording.isPlaying();
+                $scope.recording.pause();
+            }
+
+            // Flag seek request as in progress
+            pendingSeekRequest = true;
+
+        };
+
+        /**
+         * Restores the playback state at the time beginSeekRequest() was
+         * called and resumes coupling between the playback position slider and
+         * actual playback position.
+         */
+        $scope.commitSeekRequest = function commitSeekRequest() {
+
+            // If a recording is present and there is an active seek request,
+            // restore the playback state at the time that request began and
+            // begin seeking to the requested position
+            if ($scope.recording && pendingSeekRequest) {
+
+                $scope.seekPosition = null;
+                $scope.operationText = 'Seeking to the requested position. Please wait...';
+                $scope.operationProgress = 0;
+
+                // Cancel seek when requested, updating playback position if
+                // that position changed
+                $scope.cancelOperation = function abortSeek() {
+                    $scope.recording.cancel();
+                    $scope.playbackPosition = $scope.seekPosition || $scope.playbackPosition;
+                };
+
+                resumeAfterSeekRequest && $scope.recording.play();
+                $scope.recording.seek($scope.playbackPosition, function seekComplete() {
+                    $scope.operationText = null;
+                    $scope.$evalAsync();
+                });
+
+            }
+
+            // Flag seek request as completed
+            pendingSeekRequest = false;
+
+        };
+
+        /**
+         * Seeks to the given position within the current recording, as if
+         * the user had moved the playback position slider to that position.
+         * If no recording has been loaded, this function has no effect.
+         *
+         * @param {Number} position
+         *     The position within the recording to seek to, in milliseconds.
+         */
+        $scope.seekTo = function seekTo(position) {
+
+            if (!$scope.recording)
+                return;
+
+            $scope.beginSeekRequest();
+            $scope.playbackPosition = position;
+            $scope.commitSeekRequest();
+
+        };
+
+        /**
+         * Seeks forward or backward by the given number of milliseconds
+         * relative to the current playback position (or the position of the
+         * pending seek request, if any), without seeking beyond the start or
+         * end of the recording. If no recording has been loaded, this
+         * function has no effect.
+         *
+         * @param {Number} offset
+         *     The number of milliseconds to seek forward, or backward if
+         *     negative.
+         */
+        $scope.seekBy = function seekBy(offset) {
+
+            if (!$scope.recording)
+                return;
+
+            var duration = $scope.recording.getDuration();
+            $scope.seekTo(Math.max(0, Math.min(duration, $scope.playbackPosition + offset)));
+
+        };
+
+        /**
+         * Pauses playback and moves forward or backward by exactly one frame.
+         * If no recording has been loaded, this function has no effect.
+         *
+         * @param {Boolean} forward
+         *     true to move to the next frame, false to move to the previous
+         *     frame.
+         */
+        $scope.stepFrame = function stepFrame(forward) {
+
+            var recording = $scope.recording;
+            if (!recording)
+                return;
+
+            var stepCompleted = function stepCompleted() {
+                $scope.playbackPosition = recording.getPosition();
+                $scope.$emit('glenPlayerSeek', $scope.playbackPosition);
+                $scope.$evalAsync();
+            };
+
+            pendingSeekRequest = false;
+
+            if (forward)
+                recording.nextFrame(stepCompleted);
+            else
+                recording.previousFrame(stepCompleted);
+
+        };
+
+        /**
+         * Switches to the next faster or slower of the playback rates
+         * selectable by the user. If the current rate is already the fastest
+         * or slowest rate, this function has no effect.
+         *
+         * @param {Number} direction
+         *     1 to switch to the next faster rate, or -1 to switch to the next
+         *     slower rate.
+         */
+        $scope.changePlaybackRate = function changePlaybackRate(direction) {
+
+            var rates = $scope.playbackRates;
+            var index = rates.indexOf($scope.playbackRate) + direction;
+
+            if (index >= 0 && index < rates.length)
+                $scope.setPlaybackRate(rates[index]);
+
+        };
+
+        /**
+         * Displays the player using the entire screen, or returns to normal
+         * display if the player is already being displayed using the entire
+         * screen. If the browser does not allow the player to use the entire
+         * screen (for example, if the player is embedded without permission
+         * to do so), this function has no effect.
+         */
+        $scope.toggleFullscreen = function toggleFullscreen() {
+
+            var document = $window.document;
+            var element = $element[0];
+
+            if (document.fullscreenElement || document.webkitFullscreenElement) {
+                (document.exitFullscreen || document.webkitExitFullscreen).call(document);
+                return;
+            }
+
+            var requestFullscreen = element.requestFullscreen || element.webkitRequestFullscreen;
+            if (!requestFullscreen)
+                return;
+
+            // Ignore refusal to use the entire screen
+            var request = requestFullscreen.call(element);
+            if (request && request.catch)
+                request.catch(angular.noop);
+
+        };
+
+        /**
+         * Changes the rate at which the current recording is played back,
+         * where 1 is normal speed, 2 is double speed, etc. The selected rate
+         * will also be used for any recording loaded later.
+         *
+         * @param {Number} rate
+         *     The desired playback rate.
+         */
+        $scope.setPlaybackRate = function setPlaybackRate(rate) {
+
+            $scope.playbackRate = rate;
+
+            if ($scope.recording)
+                $scope.recording.setPlaybackRate(rate);
+
+        };
+
+        /**
+         * Toggles whether periods of inactivity within the recording should be
+         * shortened to the inactivity threshold during playback. The selected
+         * behavior will also be used for any recording loaded later.
+         */
+        $scope.toggleSkipInactivity = function toggleSkipInactivity() {
+
+            $scope.skipInactivity = !$scope.skipInactivity;
+
+            if ($scope.recording)
+                $scope.recording.setInactivityThreshold($scope.skipInactivity ? $scope.inactivityThreshold : null);
+
+        };
+
+        /**
+         * Returns CSS styles which position an element along the playback
+         * position slider such that it spans the given region of the current
+         * recording.
+         *
+         * @param {Number} start
+         *     The position of the start of the region, in milliseconds.
+         *
+         * @param {Number} end
+         *     The position of the end of the region, in milliseconds.
+         *
+         * @returns {Object}
+         *     An object containing the "left" and "width" CSS properties
+         *     necessary to position an element over the given region, in a
+         *     format suitable for ng-style.
+         */
+        $scope.getRegionStyle = function getRegionStyle(start, end) {
+
+            var duration = $scope.recording ? $scope.recording.getDuration() : 0;
+            if (!duration)
+                return { 'display' : 'none' };
+
+            return {
+                'left'  : (start / duration * 100) + '%',
+                'width' : ((end - start) / duration * 100) + '%'
+            };
+
+        };
+
+        /**
+         * Returns CSS styles which position an element along the playback
+         * position slider such that it spans the given period of the current
+         * recording, with an opacity reflecting the level of activity within
+         * that period.
+         *
+         * @param {Object} period
+         *     The period to position, as stored within $scope.activityLevels.
+         *
+         * @returns {Object}
+         *     An object containing the CSS properties necessary to position
+         *     and shade an element representing the given period, in a format
+         *     suitable for ng-style.
+         */
+        $scope.getActivityStyle = function getActivityStyle(period) {
+            var style = $scope.getRegionStyle(period.start, period.end);
+            style.opacity = period.level;
+            return style;
+        };
+
+        /**
+         * Shows a preview of the position within the current recording that
+         * is being hovered over within the playback position slider. The
+         * preview is rendered separately from the main display, without
+         * affecting playback.
+         *
+         * @param {MouseEvent} e
+         *     The mouse event describing the location of the mouse pointer
+         *     relative to the timeline containing the slider.
+         */
+        $scope.showPreview = function showPreview(e) {
+
+            var recording = $scope.recording;
+            var duration = recording ? recording.getDuration() : 0;
+            if (!duration)
+                return;
+
+            var bounds = e.currentTarget.getBoundingClientRect();
+            if (!bounds.width)
+                return;
+
+            var fraction = Math.min(Math.max((e.clientX - bounds.left) / bounds.width, 0), 1);
+            var position = Math.round(fraction * duration);
+            $scope.previewPosition = position;
+
+            recording.getPreview(position, PREVIEW_WIDTH, function previewRendered(canvas) {
+
+                // Ignore previews which are no longer relevant
+                if (!canvas || recording !== $scope.recording || $scope.previewPosition !== position)
+                    return;
+
+                $scope.previewImage = canvas.toDataURL('image/png');
+                $scope.$evalAsync();
+
+            });
+
+        };
+
+        /**
+         * Hides the preview shown when hovering over the playback position
+         * slider.
+         */
+        $scope.hidePreview = function hidePreview() {
+            $scope.previewPosition = null;
+        };
+
+        /**
+         * Seeks to the start of the requested range if enough of the current
+         * recording has loaded to do so. If the recording has finished
+         * loading but is shorter than requested, the player seeks to the end
+         * of the recording instead. If there is no pending seek to the start
+         * of a requested range, this function has no effect.
+         *
+         * @private
+         */
+        var seekToPendingStart = function seekToPendingStart() {
+
+            if (pendingStart === null || !$scope.recording)
+                return;
+
+            var duration = $scope.recording.getDuration();
+            if (!recordingLoaded && (!duration || duration < pendingStart))
+                return;
+
+            var position = Math.min(pendingStart, duration);
+            pendingStart = null;
+
+            // Seek visibly if the recording is ready to be viewed, or
+            // silently (beneath the loading indicator) otherwise
+            if (recordingLoaded)
+                $scope.seekTo(position);
+            else {
+                $scope.playbackPosition = position;
+                $scope.recording.seek(position);
+            }
+
+        };
+
+        /**
+         * Returns a name for the current recording which is suitable for use
+         * within the names of files derived from that recording, such as
+         * exported portions of the recording. The name is the filename of the
+         * recording without its extension.
+         *
+         * @private
+         * @returns {String}
+         *     The name of the current recording.
+         */
+        var getRecordingName = function getRecordingName() {
+
+            var path = ($scope.blob && $scope.blob.name) || $scope.src || '';
+            var name = path.replace(/[?#].*$/, '').replace(/^.*[\/\\]/, '')
+                .replace(/(\.guac)?(\.(gz|zst))?$/i, '');
+
+            return name || 'recording';
+
+        };
+
+        /**
+         * Prompts the browser to save the given Blob as a file having the
+         * given name.
+         *
+         * @private
+         * @param {Blob} blob
+         *     The contents of the file to save.
+         *
+         * @param {String} filename
+         *     The name that the file should be given by default.
+         */
+        var saveFile = function saveFile(blob, filename) {
+
+            var document = $window.document;
+            var url = $window.URL.createObjectURL(blob);
+
+            var link = document.createElement('a');
+            link.href = url;
+            link.download = filename;
+            link.style.display = 'none';
+
+            document.body.appendChild(link);
+            link.click();
+            document.body.removeChild(link);
+
+            $window.setTimeout(function revokeURL() {
+                $window.URL.revokeObjectURL(url);
+            }, OBJECT_URL_LIFETIME);
+
+        };
+
+        /**
+         * Toggles whether the form for exporting part of the current recording
+         * is displayed. When the form is displayed, the portion to be exported
+         * defaults to the remainder of the recording following the current
+         * playback position.
+         */
+        $scope.toggleExport = function toggleExport() {
+
+            $scope.showExport = !$scope.showExport;
+            $scope.exportError = null;
+
+            if ($scope.showExport && $scope.recording) {
+                $scope.exportRequest.start = DeepLink.formatTime($scope.playbackPosition);
+                $scope.exportRequest.end = DeepLink.formatTime($scope.recording.getDuration());
+            }
+
+        };
+
+        /**
+         * Exports the portion of the current recording entered within the
+         * export form as a standalone recording, saving that recording as a
+         * file. If the entered portion is invalid, the export form is updated
+         * to describe the problem.
+         */
+        $scope.exportRecording = function exportRecording() {
+
+            var recording = $scope.recording;
+            if (!recording)
+                return;
+
+            var start = DeepLink.parseTime(($scope.exportRequest.start || '').trim());
+            var end = DeepLink.parseTime(($scope.exportRequest.end || '').trim());
+
+            if (start === null || end === null) {
+                $scope.exportError = 'Times must be given as hours, minutes, and seconds (such as "1:23:40").';
+                return;
+            }
+
+            if (end <= start) {
+                $scope.exportError = 'The end of the exported portion must be after its start.';
+                return;
+            }
+
+            if (start > recording.getDuration()) {
+                $scope.exportError = 'The recording is only ' + DeepLink.formatTime(recording.getDuration()) + ' long.';
+                return;
+            }
+
+            $scope.exportError = null;
+            $scope.showExport = false;
+            $scope.operationText = 'The selected portion of your recording is being exported. Please wait...';
+            $scope.operationProgress = 0;
+
+            var exporting = recording.exportRange(start, end, function recordingExported(blob) {
+
+                if (recording !== $scope.recording)
+                    return;
+
+                var filename = getRecordingName() + '_'
+                    + DeepLink.formatTime(start).replace(/:/g, '.') + '-'
+                    + DeepLink.formatTime(end).replace(/:/g, '.') + '.guac';
+
+                saveFile(blob, filename);
+
+                $scope.operationText = null;
+                $scope.$evalAsync();
+
+            });
+
+            // Stop replaying the recording if the export is cancelled
+            $scope.cancelOperation = function cancelExport() {
+                exporting.abort();
+                $scope.operationText = null;
+            };
+
+        };
+
+        /**
+         * Saves the current contents of the display as a PNG image at the
+         * native resolution of the recording, regardless of how the display
+         * is currently scaled. The image is named after the recording and
+         * the current playback position. If no recording has been loaded,
+         * this function has no effect.
+         */
+        $scope.saveScreenshot = function saveScreenshot() {
+
+            if (!$scope.recording)
+                return;
+
+            var display = $scope.recording.getDisplay();
+            var position = $scope.playbackPosition;
+
+            // Wait for any pending drawing operations before capturing the
+            // display
+            display.flush(function displayFlushed() {
+
+                var canvas = display.flatten();
+                if (!canvas.width || !canvas.height)
+                    return;
 
-        /**
-         * A Blob containing the Guacamole session recording to load.
-         *
-         * @type {Blob}
-         */
-        blob : '='
+                canvas.toBlob(function screenshotEncoded(blob) {
+                    saveFile(blob, getRecordingName() + '_'
+                        + DeepLink.formatTime(position).replace(/:/g, '.') + '.'
+                        + ('00' + Math.floor(position % 1000)).slice(-3) + '.png');
+                }, 'image/png');
 
-    };
+            });
 
-    config.controller = ['$scope', '$element', '$injector',
-        function glenPlayerController($scope) {
+        };
 
         /**
-         * SessionRecording instance to be used to playback the session
-         * recording given via $scope.src. If the recording has not yet been
-         * loaded, this will be null.
+         * Handles the given keydown event, carrying out the action of any
+         * keyboard shortcut pressed. Key presses within text fields and
+         * key presses involving modifier keys other than shift are ignored
+         * such that they retain their usual meaning, as are presses of the
+         * space bar while a button has focus. Shortcuts are also ignored
+         * while an operation is running in the background or a passphrase is
+         * being requested.
          *
-         * @type {SessionRecording}
+         * @private
+         * @param {KeyboardEvent} e
+         *     The keydown event to handle.
          */
-        $scope.recording = null;
+        var handleShortcut = function handleShortcut(e) {
 
-        /**
-         * The current playback position, in milliseconds. If a seek request is
-         * in progress, this will be the desired playback position of the
-         * pending request.
-         *
-         * @type {Number}
-         */
-        $scope.playbackPosition = 0;
+            var target = e.target;
+            if (e.ctrlKey || e.altKey || e.metaKey || e.defaultPrevented
+                    || /^(INPUT|SELECT|TEXTAREA)$/.test(target.tagName) || target.isContentEditable
+                    || (e.key === ' ' && target.tagName === 'BUTTON'))
+                return;
 
-        /**
-         * Human-readable text describing the operation currently running in
-         * the background, or null if no such operation is running.
-         *
-         * @type {String}
-         */
-        $scope.operationText = null;
+            if ($scope.operationText || $scope.passphraseRequired)
+                return;
+
+            switch (e.key) {
+
+                // Toggle playback
+                case ' ':
+                    $scope.togglePlayback();
+                    break;
+
+                // Seek backward/forward by a short distance
+                case 'ArrowLeft':
+                    $scope.seekBy(-SHORT_SEEK_DISTANCE);
+                    break;
+
+                case 'ArrowRight':
+                    $scope.seekBy(SHORT_SEEK_DISTANCE);
+                    break;
+
+                // Seek backward/forward by a long distance
+                case 'ArrowDown':
+                    $scope.seekBy(-LONG_SEEK_DISTANCE);
+                    break;
+
+                case 'ArrowUp':
+                    $scope.seekBy(LONG_SEEK_DISTANCE);
+                    break;
+
+                // Slow down, pause, or speed up playback
+                case 'j':
+                case 'J':
+                    $scope.changePlaybackRate(-1);
+                    break;
+
+                case 'k':
+                case 'K':
+                    if ($scope.recording)
+                        $scope.recording.pause();
+                    break;
+
+                case 'l':
+                case 'L':
+                    $scope.changePlaybackRate(1);
+                    break;
+
+                // Jump to start/end of recording
+                case 'Home':
+                    $scope.seekBy(-Infinity);
+                    break;
+
+                case 'End':
+                    $scope.seekBy(Infinity);
+                    break;
+
+                // Step backward/forward by one frame
+                case ',':
+                    $scope.stepFrame(false);
+                    break;
+
+                case '.':
+                    $scope.stepFrame(true);
+                    break;
+
+                // Toggle fullscreen
+                case 'f':
+                case 'F':
+                    $scope.toggleFullscreen();
+                    break;
+
+                // Save screenshot
+                case 's':
+                case 'S':
+                    $scope.saveScreenshot();
+                    break;
+
+                // Toggle list of shortcuts
+                case '?':
+                    $scope.showShortcuts = !$scope.showShortcuts;
+                    break;
+
+                // Hide list of shortcuts (allowing Escape to retain its
+                // usual meaning otherwise)
+                case 'Escape':
+                    if (!$scope.showShortcuts)
+                        return;
+                    $scope.showShortcuts = false;
+                    break;
+
+                // Ignore all other keys
+                default:
+                    return;
+
+            }
+
+            e.preventDefault();
+            $scope.$evalAsync();
+
+        };
 
         /**
-         * The current progress toward completion of the operation running in
-         * the background, where 0 represents no progress and 1 represents full
-         * completion. If no such operation is running, this value has no
-         * meaning.
+         * Stores the annotations of the current recording, replacing any
+         * previously stored annotations. If the hash of the current recording
+         * is not yet known, the annotations are instead stored once the hash
+         * has been calculated.
          *
-         * @type {Number}
+         * @private
          */
-        $scope.operationProgress = 0;
+        var storeAnnotations = function storeAnnotations() {
+            if ($scope.recordingHash)
+                AnnotationStore.save($scope.recordingHash, $scope.annotations);
+        };
 
         /**
-         * The position within the recording of the current seek operation, in
-         * milliseconds. If a seek request is not in progress, this will be
-         * null.
-         *
-         * @type {Number}
+         * Adds the annotation written by the user at the current position
+         * within the current recording. If the annotation is blank, or no
+         * recording has been loaded, this function has no effect.
          */
-        $scope.seekPosition = null;
+        $scope.addAnnotation = function addAnnotation() {
+
+            var text = $scope.newAnnotation.text.trim();
+            if (!text || !$scope.recording)
+                return;
+
+            $scope.annotations.push(new AnnotationStore.Annotation($scope.recording.getPosition(), text));
+            AnnotationStore.sort($scope.annotations);
+            storeAnnotations();
+
+            $scope.newAnnotation.text = '';
+
+        };
 
         /**
-         * Whether a seek request is currently in progress. A seek request is
-         * in progress if the user is attempting to change the current playback
-         * position (the user is manipulating the playback position slider).
+         * Begins editing the given annotation.
          *
-         * @type {Boolean}
+         * @param {AnnotationStore.Annotation} annotation
+         *     The annotation to edit.
          */
-        var pendingSeekRequest = false;
+        $scope.editAnnotation = function editAnnotation(annotation) {
+            $scope.editedAnnotation = annotation;
+            $scope.annotationDraft.text = annotation.text;
+        };
 
         /**
-         * Whether playback should be resumed (play() should be invoked on the
-         * recording) once the current seek request is complete. This value
-         * only has meaning if a seek request is pending.
-         *
-         * @type {Boolean}
+         * Applies the changes made to the annotation currently being edited.
+         * If the edited annotation would be blank, the annotation is left
+         * unchanged.
          */
-        var resumeAfterSeekRequest = false;
+        $scope.saveAnnotation = function saveAnnotation() {
+
+            var annotation = $scope.editedAnnotation;
+            var text = $scope.annotationDraft.text.trim();
+
+            if (annotation && text && text !== annotation.text) {
+                annotation.text = text;
+                annotation.modified = new Date().getTime();
+                storeAnnotations();
+            }
+
+            $scope.editedAnnotation = null;
+
+        };
 
         /**
-         * Formats the given number as a decimal string, adding leading zeroes
-         * such that the string contains at least two digits. The given number
-         * MUST NOT be negative.
-         *
-         * @param {Number} value
-         *     The number to format.
-         *
-         * @returns {String}
-         *     The decimal string representation of the given value, padded
-         *     with leading zeroes up to a minimum length of two digits.
+         * Stops editing the annotation currently being edited, discarding any
+         * changes.
          */
-        var zeroPad = function zeroPad(value) {
-            return value > 9 ? value : '0' + value;
+        $scope.cancelAnnotationEdit = function cancelAnnotationEdit() {
+            $scope.editedAnnotation = null;
         };
 
         /**
-         * Formats the given quantity of milliseconds as days, hours, minutes,
-         * and whole seconds, separated by colons (DD:HH:MM:SS). Hours are
-         * included only if the quantity is at least one hour, and days are
-         * included only if the quantity is at least one day. All included
-         * groups are zero-padded to two digits with the exception of the
-         * left-most group.
+         * Deletes the given annotation after confirming with the user.
          *
-         * @param {Number} value
-         *     The time to format, in milliseconds.
-         *
-         * @returns {String}
-         *     The given quantity of milliseconds formatted as "DD:HH:MM:SS".
+         * @param {AnnotationStore.Annotation} annotation
+         *     The annotation to delete.
          */
-        $scope.formatTime = function formatTime(value) {
+        $scope.deleteAnnotation = function deleteAnnotation(annotation) {
 
-            // Round provided value down to whole seconds
-            value = Math.floor((value || 0) / 1000);
+            if (!$window.confirm('Delete the note at ' + $scope.formatTime(annotation.timestamp) + '?'))
+                return;
 
-            // Separate seconds into logical groups of seconds, minutes,
-            // hours, etc.
-            var groups = [ 1, 24, 60, 60 ];
-            for (var i = groups.length - 1; i >= 0; i--) {
-                var placeValue = groups[i];
-                groups[i] = zeroPad(value % placeValue);
-                value = Math.floor(value / placeValue);
+            var index = $scope.annotations.indexOf(annotation);
+            if (index !== -1) {
+                $scope.annotations.splice(index, 1);
+                storeAnnotations();
             }
 
-            // Format groups separated by colons, stripping leading zeroes and
-            // groups which are entirely zeroes, leaving at least minutes and
-            // seconds
-            var formatted = groups.join(':');
-            return /^[0:]*([0-9]{1,2}(?::[0-9]{2})+)$/.exec(formatted)[1];
+            if ($scope.editedAnnotation === annotation)
+                $scope.editedAnnotation = null;
 
         };
 
         /**
-         * Pauses playback and decouples the position slider from current
-         * playback position, allowing the user to manipulate the slider
-         * without interference. Playback state will be resumed following a
-         * call to commitSeekRequest().
+         * Saves all annotations of the current recording as a JSON file.
          */
-        $scope.beginSeekRequest = function beginSeekRequest() {
+        $scope.exportAnnotations = function exportAnnotations() {
 
-            // If a recording is present, pause and save state if we haven't
-            // already done so
-            if ($scope.recording && !pendingSeekRequest) {
-                resumeAfterSeekRequest = $scope.recording.isPlaying();
-                $scope.recording.pause();
-            }
+            var json = AnnotationStore.toJSON($scope.annotations,
+                ($scope.blob && $scope.blob.name) || $scope.src, $scope.recordingHash);
 
-            // Flag seek request as in progress
-            pendingSeekRequest = true;
+            saveFile(new Blob([ json ], { type : 'application/json' }),
+                getRecordingName() + '.annotations.json');
 
         };
 
         /**
-         * Restores the playback state at the time beginSeekRequest() was
-         * called and resumes coupling between the playback position slider and
-         * actual playback position.
+         * Adds the annotations within the file chosen by the user, as
+         * previously saved by exportAnnotations(), to the annotations of the
+         * current recording. Annotations which are identical to existing
+         * annotations are skipped.
+         *
+         * @param {Event} e
+         *     The "change" event of the file input used to choose the file.
          */
-        $scope.commitSeekRequest = function commitSeekRequest() {
+        $scope.importAnnotations = function importAnnotations(e) {
 
-            // If a recording is present and there is an active seek request,
-            // restore the playback state at the time that request began and
-            // begin seeking to the requested position
-            if ($scope.recording && pendingSeekRequest) {
+            var input = e.target;
+            var file = input.files[0];
+            var recording = $scope.recording;
 
-                $scope.seekPosition = null;
-                $scope.operationText = 'Seeking to the requested position. Please wait...';
-                $scope.operationProgress = 0;
+            // Allow the same file to be chosen again
+            input.value = '';
 
-                // Cancel seek when requested, updating playback position if
-                // that position changed
-                $scope.cancelOperation = function abortSeek() {
-                    $scope.recording.cancel();
-                    $scope.playbackPosition = $scope.seekPosition || $scope.playbackPosition;
-                };
+            if (!file || !recording)
+                return;
 
-                resumeAfterSeekRequest && $scope.recording.play();
-                $scope.recording.seek($scope.playbackPosition, function seekComplete() {
-                    $scope.operationText = null;
+            var reader = new FileReader();
+
+            reader.onload = function annotationsRead() {
+
+                if (recording !== $scope.recording)
+                    return;
+
+                var imported = AnnotationStore.fromJSON(reader.result);
+                if (!imported) {
+                    $scope.annotationMessage = '"' + file.name + '" does not contain notes exported by this player.';
                     $scope.$evalAsync();
+                    return;
+                }
+
+                var added = imported.annotations.filter(function isNew(annotation) {
+                    return !$scope.annotations.some(function isSame(existing) {
+                        return existing.timestamp === annotation.timestamp && existing.text === annotation.text;
+                    });
                 });
 
+                $scope.annotations = AnnotationStore.sort($scope.annotations.concat(added));
+                storeAnnotations();
+
+                $scope.annotationMessage = added.length + ' of ' + imported.annotations.length + ' notes imported.';
+                if (imported.hash && $scope.recordingHash && imported.hash !== $scope.recordingHash)
+                    $scope.annotationMessage += ' These notes were made on a different recording.';
+
+                $scope.$evalAsync();
+
+            };
+
+            reader.onerror = function annotationsUnreadable() {
+                $scope.annotationMessage = '"' + file.name + '" could not be read.';
+                $scope.$evalAsync();
+            };
+
+            reader.readAsText(file);
+
+        };
+
+        /**
+         * Copies a link to the current playback position to the clipboard.
+         * If the clipboard is not available, the link is instead displayed
+         * such that the user can copy it manually.
+         */
+        $scope.copyLink = function copyLink() {
+
+            var url = DeepLink.getURL($scope.playbackPosition);
+
+            var showLink = function showLink() {
+                $window.prompt('Copy the link below:', url);
+            };
+
+            var clipboard = $window.navigator.clipboard;
+            if (!clipboard || !clipboard.writeText) {
+                showLink();
+                return;
             }
 
-            // Flag seek request as completed
-            pendingSeekRequest = false;
+            clipboard.writeText(url).then(function linkCopied() {
+
+                $timeout.cancel(linkCopiedTimeout);
+                $scope.linkCopied = true;
+
+                linkCopiedTimeout = $timeout(function hideConfirmation() {
+                    $scope.linkCopied = false;
+                    linkCopiedTimeout = null;
+                }, LINK_COPIED_DURATION);
+
+                $scope.$evalAsync();
+
+            }, showLink);
+
+        };
+
+        /**
+         * Provides the given passphrase to the current recording, which must
+         * be awaiting a passphrase, resuming loading of that recording.
+         *
+         * @param {String} passphrase
+         *     The passphrase entered by the user.
+         */
+        $scope.submitPassphrase = function submitPassphrase(passphrase) {
+
+            $scope.passphraseRequired = false;
+            $scope.operationText = 'Your recording is now being decrypted. Please wait...';
+            $scope.operationProgress = 0;
 
+            $scope.recording.providePassphrase(passphrase);
+
+        };
+
+        /**
+         * Stops loading the current recording, which must be awaiting a
+         * passphrase, as the user has declined to provide that passphrase.
+         */
+        $scope.cancelPassphrase = function cancelPassphrase() {
+            $scope.passphraseRequired = false;
+            $scope.recording.abort();
         };
 
         /**
@@ -262,12 +1609,127 @@ angular.module('player').directive('glenPlayer', ['$injector', function glenPlay
             }
         };
 
+        /**
+         * Updates the keyframe cache statistics shown within the debug view
+         * with the current statistics of the current recording.
+         *
+         * @private
+         */
+        var updateStatistics = function updateStatistics() {
+            $scope.keyframeCacheStatistics = $scope.recording
+                ? $scope.recording.getKeyframeCache().getStatistics() : null;
+        };
+
+        /**
+         * The promise of the interval which periodically updates the
+         * statistics shown within the debug view, or null if the debug view is
+         * not shown.
+         *
+         * @private
+         * @type {Promise}
+         */
+        var statisticsInterval = null;
+
+        // Update statistics periodically only while the debug view is shown
+        $scope.$watch('debug', function debugChanged(debug) {
+
+            $interval.cancel(statisticsInterval);
+            statisticsInterval = null;
+
+            if (debug) {
+                updateStatistics();
+                statisticsInterval = $interval(updateStatistics, STATISTICS_INTERVAL);
+            }
+
+        });
+
+        // Start playback when requested by a parent scope
+        $scope.$on('glenPlayerRequestPlay', function playRequested() {
+            if ($scope.recording)
+                $scope.recording.play();
+        });
+
+        // Pause playback when requested by a parent scope
+        $scope.$on('glenPlayerRequestPause', function pauseRequested() {
+            if ($scope.recording)
+                $scope.recording.pause();
+        });
+
+        // Seek when requested by a parent scope
+        $scope.$on('glenPlayerRequestSeek', function seekRequested(event, position) {
+            $scope.seekTo(position);
+        });
+
+        // Change playback rate when requested by a parent scope, adding the
+        // requested rate to those selectable by the user if necessary
+        $scope.$on('glenPlayerRequestSpeed', function speedRequested(event, rate) {
+
+            // Offer only rates which will actually be used
+            rate = Math.min(Math.max(rate, SessionRecording.MIN_PLAYBACK_RATE),
+                SessionRecording.MAX_PLAYBACK_RATE);
+
+            if ($scope.playbackRates.indexOf(rate) === -1) {
+                $scope.playbackRates.push(rate);
+                $scope.playbackRates.sort(function byRate(a, b) {
+                    return a - b;
+                });
+            }
+
+            $scope.setPlaybackRate(rate);
+
+        });
+
+        // Handle keyboard shortcuts pressed anywhere within the page
+        $window.document.addEventListener('keydown', handleShortcut);
+
+        // Stop updating statistics and handling shortcuts once the player is
+        // destroyed
+        $scope.$on('$destroy', function playerDestroyed() {
+            $interval.cancel(statisticsInterval);
+            $timeout.cancel(linkCopiedTimeout);
+            $window.document.removeEventListener('keydown', handleShortcut);
+        });
+
+        // Apply each newly-requested range to the current recording
+        $scope.$watch('range', function rangeChanged(range) {
+
+            pendingStart = range ? range.start : null;
+            stopPosition = range ? range.end : null;
+
+            seekToPendingStart();
+
+        });
+
         // Automatically load the requested session recording
-        $scope.$watch('blob', function blobChanged(blob) {
+        $scope.$watchGroup(['blob', 'src'], function sourceChanged(values) {
+
+            // Prefer the provided Blob over any provided URL
+            var source = values[0] || values[1];
 
             // Reset position and seek state
             pendingSeekRequest = false;
+            recordingLoaded = false;
+            lastPosition = 0;
             $scope.playbackPosition = 0;
+            $scope.idlePeriods = [];
+            $scope.activityLevels = [];
+            $scope.keyLogSearch.matches = [];
+            $scope.previewPosition = null;
+            $scope.previewImage = null;
+            $scope.keyEvents = [];
+            $scope.keyframeProgress = 0;
+            $scope.recordingStatistics = null;
+            $scope.instructionCounts = [];
+            $scope.streamCounts = [];
+            $scope.damagedRegions = [];
+            $scope.showDamageWarning = false;
+            $scope.showExport = false;
+            $scope.recordingHash = null;
+            $scope.annotations = [];
+            $scope.editedAnnotation = null;
+            $scope.annotationMessage = null;
+            $scope.passphraseRequired = false;
+            $scope.passphraseIncorrect = false;
 
             // Stop loading the current recording, if any
             if ($scope.recording) {
@@ -276,36 +1738,99 @@ angular.module('player').directive('glenPlayer', ['$injector', function glenPlay
             }
 
             // If no recording is provided, reset to empty
-            if (!blob)
+            if (!source)
                 $scope.recording = null;
 
             // Otherwise, begin loading the provided recording
             else {
 
-                $scope.recording = new SessionRecording(blob);
+                $scope.recording = new SessionRecording(source);
+                $scope.recording.setPlaybackRate($scope.playbackRate);
+                $scope.recording.setInactivityThreshold($scope.skipInactivity ? $scope.inactivityThreshold : null);
+
+                // Apply requested keyframe cache configuration
+                var keyframeCache = $scope.recording.getKeyframeCache();
+                if ($scope.keyframeMemoryLimit)
+                    keyframeCache.setMemoryLimit($scope.keyframeMemoryLimit);
+                keyframeCache.setStorageEnabled($scope.keyframeStorage);
 
                 // Notify listeners when the recording is completely loaded
                 $scope.recording.onload = function recordingLoaded() {
+                    $scope.idlePeriods = $scope.recording.getIdlePeriods($scope.inactivityThreshold);
+                    $scope.activityLevels = getActivityLevels($scope.recording.getActivity(ACTIVITY_PERIODS));
+                    $scope.keyEvents = $scope.recording.getKeyEvents();
+                    $scope.recordingStatistics = $scope.recording.getStatistics();
+                    if ($scope.recordingStatistics) {
+                        $scope.instructionCounts = sortCounts($scope.recordingStatistics.instructions);
+                        $scope.streamCounts = sortCounts($scope.recordingStatistics.streams);
+                    }
+                    $scope.damagedRegions = $scope.recording.getDamagedRegions();
+                    $scope.showDamageWarning = $scope.damagedRegions.length > 0;
                     $scope.operationText = null;
+                    recordingLoaded = true;
+                    seekToPendingStart();
                     $scope.$emit('glenPlayerLoaded');
                     $scope.$evalAsync();
                 };
 
                 // Notify listeners if an error occurs
-                $scope.recording.onerror = function recordingFailed(message) {
+                $scope.recording.onerror = function recordingFailed(error) {
+                    $scope.operationText = null;
+                    $scope.$emit('glenPlayerError', error.message, error);
+                    $scope.$evalAsync();
+                };
+
+                // Prompt for the passphrase of encrypted recordings
+                $scope.recording.onpassphraserequired = function passphraseRequired(incorrect) {
                     $scope.operationText = null;
-                    $scope.$emit('glenPlayerError', message);
+                    $scope.passphraseRequired = true;
+                    $scope.passphraseIncorrect = incorrect;
+                    $scope.$evalAsync();
+                };
+
+                // Notify listeners when the hash of the recording is known,
+                // restoring any annotations stored for the recording
+                $scope.recording.onhash = function recordingHashed(hash) {
+
+                    var recording = $scope.recording;
+                    $scope.recordingHash = hash;
+
+                    AnnotationStore.load(hash, function annotationsLoaded(stored) {
+
+                        if (recording !== $scope.recording)
+                            return;
+
+                        // Keep any annotations added before the hash was
+                        // known, storing them alongside those restored
+                        var added = $scope.annotations;
+                        $scope.annotations = AnnotationStore.sort(stored.concat(added));
+                        if (added.length)
+                            storeAnnotations();
+
+                        $scope.$evalAsync();
+
+                    });
+
+                    $scope.$emit('glenPlayerHash', hash);
                     $scope.$evalAsync();
+
                 };
 
                 // Notify listeners when additional recording data has been
                 // loaded
-                $scope.recording.onprogress = function recordingLoadProgressed(duration, current) {
-                    $scope.operationProgress = current / blob.size;
+                $scope.recording.onprogress = function recordingLoadProgressed(duration, current, total) {
+                    $scope.operationProgress = total ? current / total : 0;
+                    seekToPendingStart();
                     $scope.$emit('glenPlayerProgress', duration, current);
                     $scope.$evalAsync();
                 };
 
+                // Track background generation of keyframes
+                $scope.recording.onkeyframeprogress = function keyframeGenerated(current, total) {
+                    $scope.keyframeProgress = current / total;
+                    $scope.$evalAsync();
+                };
+
                 // Notify listeners when playback has started/resumed
                 $scope.recording.onplay = function playbackStarted() {
                     $scope.$emit('glenPlayerPlay');
@@ -322,16 +1847,26 @@ angular.module('player').directive('glenPlayer', ['$injector', function glenPlay
                 // has changed
                 $scope.recording.onseek = function positionChanged(position, current, total) {
 
-                    // Update current playback position while playing
-                    if ($scope.recording.isPlaying())
+                    // Update current playback position while playing,
+                    // pausing if the end of the requested range is reached
+                    if ($scope.recording.isPlaying()) {
+
                         $scope.playbackPosition = position;
 
+                        if (stopPosition !== null && lastPosition < stopPosition && position >= stopPosition) {
+                            stopPosition = null;
+                            $scope.recording.pause();
+                        }
+
+                    }
+
                     // Update seek progress while seeking
                     else {
                         $scope.seekPosition = position;
                         $scope.operationProgress = current / total;
                     }
 
+                    lastPosition = position;
                     $scope.$emit('glenPlayerSeek', position);
                     $scope.$evalAsync();
 
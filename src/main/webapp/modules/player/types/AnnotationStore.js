@@ -0,0 +1,332 @@
+/*
+ * Copyright (C) 2019 Glyptodon, Inc.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+ * THE SOFTWARE.
+ */
+
+/**
+ * Defines the AnnotationStore service.
+ */
+angular.module('player').factory('AnnotationStore', ['$injector', function defineAnnotationStore($injector) {
+
+    // Required services
+    var RecordingDatabase = $injector.get('RecordingDatabase');
+
+    /**
+     * The version of the JSON format used to export annotations. This value
+     * must be incremented whenever that format changes incompatibly.
+     *
+     * @private
+     * @constant
+     * @type {Number}
+     */
+    var EXPORT_VERSION = 1;
+
+    /**
+     * Converts the given object, as read from IndexedDB or imported JSON, to
+     * an AnnotationStore.Annotation. Objects which do not describe a valid
+     * annotation are rejected.
+     *
+     * @private
+     * @param {Object} object
+     *     The object to convert, which must have a "timestamp" property
+     *     containing a non-negative number and a "text" property containing
+     *     a string.
+     *
+     * @returns {AnnotationStore.Annotation}
+     *     A new annotation having the properties of the given object, or
+     *     null if the object does not describe a valid annotation.
+     */
+    var toAnnotation = function toAnnotation(object) {
+
+        if (!object || typeof object.text !== 'string' || typeof object.timestamp !== 'number'
+                || !isFinite(object.timestamp) || object.timestamp < 0)
+            return null;
+
+        var annotation = new AnnotationStore.Annotation(object.timestamp, object.text);
+
+        if (typeof object.created === 'number')
+            annotation.created = object.created;
+
+        if (typeof object.modified === 'number')
+            annotation.modified = object.modified;
+
+        return annotation;
+
+    };
+
+    /**
+     * Service which stores the annotations made by the user on each
+     * recording within IndexedDB, and which exports and imports those
+     * annotations as JSON such that they can be shared along with the
+     * recording. Annotations are associated with recordings by the SHA-256
+     * hash of the recording, such that a recording retains its annotations
+     * regardless of whether it is opened as a file or by URL.
+     */
+    var AnnotationStore = {};
+
+    /**
+     * Sorts the given annotations in place, in order of their position
+     * within the recording.
+     *
+     * @param {AnnotationStore.Annotation[]} annotations
+     *     The annotations to sort.
+     *
+     * @returns {AnnotationStore.Annotation[]}
+     *     The given array, now sorted.
+     */
+    AnnotationStore.sort = function sort(annotations) {
+        return annotations.sort(function byTimestamp(a, b) {
+            return a.timestamp - b.timestamp || a.created - b.created;
+        });
+    };
+
+    /**
+     * Retrieves all annotations stored for the recording having the given
+     * hash, invoking the provided callback with those annotations. If no
+     * annotations have been stored, or IndexedDB is not available, the
+     * callback is invoked with an empty array.
+     *
+     * @param {String} hash
+     *     The SHA-256 hash of the recording, as a lowercase hexadecimal
+     *     string.
+     *
+     * @param {Function} callback
+     *     The callback to invoke with the array of stored annotations, sorted
+     *     by position within the recording.
+     */
+    AnnotationStore.load = function load(hash, callback) {
+        RecordingDatabase.withStore(RecordingDatabase.ANNOTATIONS, 'readonly', function readAnnotations(store) {
+
+            if (!store) {
+                callback([]);
+                return;
+            }
+
+            var request = store.get(hash);
+
+            request.onsuccess = function annotationsRead() {
+                var stored = request.result || [];
+                callback(AnnotationStore.sort(stored.map(toAnnotation).filter(function isValid(annotation) {
+                    return annotation;
+                })));
+            };
+
+            request.onerror = function annotationsReadFailed() {
+                callback([]);
+            };
+
+        });
+    };
+
+    /**
+     * Stores the given annotations for the recording having the given hash,
+     * replacing any annotations previously stored for that recording. If
+     * the array of annotations is empty, any stored annotations are
+     * deleted.
+     *
+     * @param {String} hash
+     *     The SHA-256 hash of the recording, as a lowercase hexadecimal
+     *     string.
+     *
+     * @param {AnnotationStore.Annotation[]} annotations
+     *     The annotations to store.
+     *
+     * @param {Function} [callback]
+     *     The callback to invoke once the annotations have been stored. The
+     *     callback receives true if the annotations were stored
+     *     successfully, or false if they could not be stored.
+     */
+    AnnotationStore.save = function save(hash, annotations, callback) {
+        RecordingDatabase.withStore(RecordingDatabase.ANNOTATIONS, 'readwrite', function writeAnnotations(store) {
+
+            var done = function done(success) {
+                if (callback)
+                    callback(success);
+            };
+
+            if (!store) {
+                done(false);
+                return;
+            }
+
+            var request;
+            try {
+                request = annotations.length
+                    ? store.put(annotations.map(toAnnotation), hash)
+                    : store.delete(hash);
+            }
+            catch (e) {
+                done(false);
+                return;
+            }
+
+            request.onsuccess = function annotationsWritten() {
+                done(true);
+            };
+
+            request.onerror = function annotationsWriteFailed() {
+                done(false);
+            };
+
+        });
+    };
+
+    /**
+     * Converts the given annotations to JSON, along with the name and hash
+     * of the recording that they describe.
+     *
+     * @param {AnnotationStore.Annotation[]} annotations
+     *     The annotations to export.
+     *
+     * @param {String} name
+     *     The filename or URL of the recording.
+     *
+     * @param {String} hash
+     *     The SHA-256 hash of the recording, as a lowercase hexadecimal
+     *     string, or null if the hash is not known.
+     *
+     * @returns {String}
+     *     The given annotations, formatted as JSON.
+     */
+    AnnotationStore.toJSON = function toJSON(annotations, name, hash) {
+        return JSON.stringify({
+            version     : EXPORT_VERSION,
+            recording   : {
+                name   : name || null,
+                sha256 : hash || null
+            },
+            annotations : annotations.map(toAnnotation)
+        }, null, 2);
+    };
+
+    /**
+     * Parses annotations previously exported with toJSON().
+     *
+     * @param {String} json
+     *     The exported annotations.
+     *
+     * @returns {AnnotationStore.Export}
+     *     The annotations within the given JSON and the hash of the
+     *     recording they describe, or null if the JSON is not in the format
+     *     produced by toJSON().
+     */
+    AnnotationStore.fromJSON = function fromJSON(json) {
+
+        var object;
+        try {
+            object = JSON.parse(json);
+        }
+        catch (e) {
+            return null;
+        }
+
+        if (!object || object.version !== EXPORT_VERSION || !(object.annotations instanceof Array))
+            return null;
+
+        var annotations = object.annotations.map(toAnnotation);
+        if (annotations.indexOf(null) !== -1)
+            return null;
+
+        var recording = object.recording || {};
+        return new AnnotationStore.Export(AnnotationStore.sort(annotations),
+            typeof recording.sha256 === 'string' ? recording.sha256.toLowerCase() : null);
+
+    };
+
+    /**
+     * A note made by the user at a specific position within a recording.
+     *
+     * @constructor
+     * @param {Number} timestamp
+     *     The position within the recording that the note describes, in
+     *     milliseconds.
+     *
+     * @param {String} text
+     *     The content of the note.
+     */
+    AnnotationStore.Annotation = function Annotation(timestamp, text) {
+
+        /**
+         * The position within the recording that this note describes, in
+         * milliseconds.
+         *
+         * @type {Number}
+         */
+        this.timestamp = timestamp;
+
+        /**
+         * The content of this note.
+         *
+         * @type {String}
+         */
+        this.text = text;
+
+        /**
+         * The time that this note was created, in milliseconds since the
+         * Unix epoch.
+         *
+         * @type {Number}
+         */
+        this.created = new Date().getTime();
+
+        /**
+         * The time that this note was last changed, in milliseconds since
+         * the Unix epoch.
+         *
+         * @type {Number}
+         */
+        this.modified = this.created;
+
+    };
+
+    /**
+     * A set of annotations imported from JSON.
+     *
+     * @constructor
+     * @param {AnnotationStore.Annotation[]} annotations
+     *     The imported annotations, sorted by position within the recording.
+     *
+     * @param {String} hash
+     *     The SHA-256 hash of the recording that the annotations describe,
+     *     or null if the hash was not included.
+     */
+    AnnotationStore.Export = function Export(annotations, hash) {
+
+        /**
+         * The imported annotations, sorted by position within the
+         * recording.
+         *
+         * @type {AnnotationStore.Annotation[]}
+         */
+        this.annotations = annotations;
+
+        /**
+         * The SHA-256 hash of the recording that the annotations describe,
+         * or null if the hash was not included.
+         *
+         * @type {String}
+         */
+        this.hash = hash;
+
+    };
+
+    return AnnotationStore;
+
+}]);
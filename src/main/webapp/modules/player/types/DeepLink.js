@@ -0,0 +1,222 @@
+/*
+ * Copyright (C) 2019 Glyptodon, Inc.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+ * THE SOFTWARE.
+ */
+
+/**
+ * Defines the DeepLink service.
+ */
+angular.module('player').factory('DeepLink', ['$window', function defineDeepLink($window) {
+
+    /**
+     * Regular expression which matches the "t" parameter within the fragment
+     * of a URL, capturing the value of that parameter.
+     *
+     * @private
+     * @constant
+     * @type {RegExp}
+     */
+    var TIME_PARAMETER = /(?:^#?|&)t=([^&]*)/;
+
+    /**
+     * Regular expression which matches a single time within the "t"
+     * parameter, which may be a number of seconds ("5020" or "5020.5") or
+     * may be split into hours, minutes, and seconds ("1:23:40"), optionally
+     * preceded by days ("1:01:23:40").
+     *
+     * @private
+     * @constant
+     * @type {RegExp}
+     */
+    var TIME_FORMAT = /^(?:[0-9]+:){0,3}[0-9]+(?:\.[0-9]+)?$/;
+
+    /**
+     * The number of seconds within each colon-separated group of a time,
+     * starting with the right-most (seconds) group.
+     *
+     * @private
+     * @constant
+     * @type {Number[]}
+     */
+    var GROUP_SECONDS = [ 1, 60, 3600, 86400 ];
+
+    /**
+     * Service which reads and writes links to specific times within a
+     * recording. Such links specify the time using the "t" parameter within
+     * the fragment of the URL, such as "#t=1:23:40" for a single point in
+     * time or "#t=1:23:40,1:25:00" for a range.
+     */
+    var DeepLink = {};
+
+    /**
+     * Parses the given time, as it would appear within the "t" parameter.
+     *
+     * @param {String} value
+     *     The time to parse.
+     *
+     * @returns {Number}
+     *     The given time in milliseconds, or null if the time is invalid.
+     */
+    DeepLink.parseTime = function parseTime(value) {
+
+        if (!TIME_FORMAT.test(value))
+            return null;
+
+        var seconds = 0;
+        value.split(':').reverse().forEach(function addGroup(group, index) {
+            seconds += parseFloat(group) * GROUP_SECONDS[index];
+        });
+
+        return Math.round(seconds * 1000);
+
+    };
+
+    /**
+     * Formats the given time as it should appear within the "t" parameter,
+     * as hours, minutes, and whole seconds separated by colons. Hours are
+     * included only if the time is at least one hour.
+     *
+     * @param {Number} position
+     *     The time to format, in milliseconds.
+     *
+     * @returns {String}
+     *     The given time formatted as "H:MM:SS" or "M:SS".
+     */
+    DeepLink.formatTime = function formatTime(position) {
+
+        var seconds = Math.floor(Math.max(position, 0) / 1000);
+        var hours = Math.floor(seconds / 3600);
+        var minutes = Math.floor(seconds / 60) % 60;
+
+        seconds %= 60;
+
+        var formatted = (seconds < 10 ? '0' : '') + seconds;
+        if (hours)
+            return hours + ':' + (minutes < 10 ? '0' : '') + minutes + ':' + formatted;
+
+        return minutes + ':' + formatted;
+
+    };
+
+    /**
+     * A range of time within a recording, as specified by a link.
+     *
+     * @constructor
+     * @param {Number} start
+     *     The time at the start of the range, in milliseconds.
+     *
+     * @param {Number} end
+     *     The time at the end of the range, in milliseconds, or null if the
+     *     range has no end.
+     */
+    DeepLink.Range = function Range(start, end) {
+
+        /**
+         * The time at the start of the range, in milliseconds.
+         *
+         * @type {Number}
+         */
+        this.start = start;
+
+        /**
+         * The time at the end of the range, in milliseconds, or null if the
+         * range has no end.
+         *
+         * @type {Number}
+         */
+        this.end = end;
+
+    };
+
+    /**
+     * Parses the "t" parameter within the given URL fragment. The start of
+     * the range may be omitted (as in "#t=,1:00"), in which case the range
+     * starts at the beginning of the recording.
+     *
+     * @param {String} hash
+     *     The fragment of the URL, as returned by window.location.hash.
+     *
+     * @returns {DeepLink.Range}
+     *     The range specified by the given fragment, or null if the fragment
+     *     does not contain a valid "t" parameter.
+     */
+    DeepLink.parse = function parse(hash) {
+
+        var parameter = TIME_PARAMETER.exec(hash || '');
+        if (!parameter)
+            return null;
+
+        var times;
+        try {
+            times = decodeURIComponent(parameter[1]).split(',');
+        }
+        catch (e) {
+            return null;
+        }
+
+        if (times.length > 2)
+            return null;
+
+        var start = times[0] ? DeepLink.parseTime(times[0]) : 0;
+        var end = times.length > 1 ? DeepLink.parseTime(times[1]) : null;
+
+        if (start === null || (times.length > 1 && (end === null || end <= start)))
+            return null;
+
+        return new DeepLink.Range(start, end);
+
+    };
+
+    /**
+     * Returns the URL of the current page, with its "t" parameter replaced
+     * such that the URL links to the given time. Any other content of the
+     * fragment is preserved.
+     *
+     * @param {Number} position
+     *     The time to link to, in milliseconds.
+     *
+     * @param {Number} [end]
+     *     The time at the end of the range to link to, in milliseconds. If
+     *     omitted, the URL links to a single point in time.
+     *
+     * @returns {String}
+     *     The URL of the current page, linking to the given time.
+     */
+    DeepLink.getURL = function getURL(position, end) {
+
+        var location = $window.location;
+        var value = DeepLink.formatTime(position);
+        if (end !== undefined && end !== null)
+            value += ',' + DeepLink.formatTime(end);
+
+        var hash = location.hash.replace(/^#/, '');
+        hash = TIME_PARAMETER.test(hash)
+             ? hash.replace(TIME_PARAMETER, function replaceTime(match) {
+                   return match.replace(/t=.*$/, 't=' + value);
+               })
+             : (hash ? hash + '&' : '') + 't=' + value;
+
+        return location.href.replace(/#.*$/, '') + '#' + hash;
+
+    };
+
+    return DeepLink;
+
+}]);
@@ -0,0 +1,343 @@
+/*
+ * Copyright (C) 2019 Glyptodon, Inc.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+ * THE SOFTWARE.
+ */
+
+/**
+ * Defines the FrameIndexCache service.
+ */
+angular.module('player').factory('FrameIndexCache', ['$injector', function defineFrameIndexCache($injector) {
+
+    // Required services
+    var RecordingDatabase = $injector.get('RecordingDatabase');
+
+    /**
+     * The version of the format of stored frame indexes. This value must be
+     * incremented whenever the contents of FrameIndexCache.FrameIndex or the
+     * way recordings are divided into frames changes, such that indexes
+     * stored by older versions of the player are ignored.
+     *
+     * @private
+     * @constant
+     * @type {Number}
+     */
+    var FORMAT_VERSION = 5;
+
+    /**
+     * The maximum number of frame indexes which should be retained. Once this
+     * limit is exceeded, the least-recently used indexes are deleted.
+     *
+     * @private
+     * @constant
+     * @type {Number}
+     */
+    var MAX_INDEXES = 50;
+
+    /**
+     * Deletes the least-recently used frame indexes within the given object
+     * store until no more than MAX_INDEXES indexes remain.
+     *
+     * @private
+     * @param {IDBObjectStore} store
+     *     The object store containing frame indexes, within a "readwrite"
+     *     transaction.
+     */
+    var pruneIndexes = function pruneIndexes(store) {
+
+        var countRequest = store.count();
+        countRequest.onsuccess = function indexesCounted() {
+
+            var excess = countRequest.result - MAX_INDEXES;
+            if (excess <= 0)
+                return;
+
+            // Walk indexes from least to most recently used, deleting each
+            // until within limits
+            var cursorRequest = store.index(RecordingDatabase.INDEXES_BY_ACCESS_TIME).openKeyCursor();
+            cursorRequest.onsuccess = function nextIndex() {
+
+                var cursor = cursorRequest.result;
+                if (!cursor || excess-- <= 0)
+                    return;
+
+                store.delete(cursor.primaryKey);
+                cursor.continue();
+
+            };
+
+        };
+
+    };
+
+    /**
+     * Service which retains the frame indexes of previously opened
+     * recordings within IndexedDB, such that reopening a recording does not
+     * require that the recording be parsed again. Each index is associated
+     * with a key which must uniquely identify the content of its recording.
+     * As key events may contain sensitive data such as passwords, they are
+     * never stored. Only the frames containing key events are noted, such
+     * that those key events can be read again from the recording itself.
+     */
+    var FrameIndexCache = {};
+
+    /**
+     * Retrieves the frame index associated with the given key, invoking the
+     * provided callback with that index. If no such index has been stored,
+     * if the stored index was produced by an incompatible version of the
+     * player, or if IndexedDB is not available, the callback is invoked with
+     * null.
+     *
+     * @param {String} key
+     *     The key uniquely identifying the content of the recording.
+     *
+     * @param {Function} callback
+     *     The callback to invoke with the FrameIndexCache.FrameIndex
+     *     associated with the given key, or with null if no such index is
+     *     available.
+     */
+    FrameIndexCache.load = function load(key, callback) {
+        RecordingDatabase.withStore(RecordingDatabase.INDEXES, 'readwrite', function readIndex(store) {
+
+            if (!store) {
+                callback(null);
+                return;
+            }
+
+            var request = store.get(key);
+
+            request.onsuccess = function indexRead() {
+
+                var record = request.result;
+                if (!record || record.version !== FORMAT_VERSION) {
+                    callback(null);
+                    return;
+                }
+
+                // Note that the index has been used
+                record.accessed = new Date().getTime();
+                store.put(record, key);
+
+                callback(record.index);
+
+            };
+
+            request.onerror = function indexReadFailed() {
+                callback(null);
+            };
+
+        });
+    };
+
+    /**
+     * Stores the given frame index, associating it with the given key and
+     * replacing any index previously associated with that key. The key
+     * events within the index are omitted, with the index stored having its
+     * keys property set to null. Failures to store the index are ignored, as
+     * the index can always be recreated by parsing the recording again.
+     *
+     * @param {String} key
+     *     The key uniquely identifying the content of the recording.
+     *
+     * @param {FrameIndexCache.FrameIndex} index
+     *     The frame index to store.
+     */
+    FrameIndexCache.save = function save(key, index) {
+        RecordingDatabase.withStore(RecordingDatabase.INDEXES, 'readwrite', function writeIndex(store) {
+
+            if (!store)
+                return;
+
+            try {
+                store.put({
+                    version  : FORMAT_VERSION,
+                    accessed : new Date().getTime(),
+                    index    : angular.extend({}, index, { keys : null })
+                }, key);
+                pruneIndexes(store);
+            }
+            catch (e) {
+                // Ignore - the index will be recreated next time
+            }
+
+        });
+    };
+
+    /**
+     * The frames of a session recording and any other information gathered
+     * while parsing those frames, in a form suitable for storage within
+     * IndexedDB.
+     *
+     * @constructor
+     */
+    FrameIndexCache.FrameIndex = function FrameIndex() {
+
+        /**
+         * The timestamp of each frame, as dictated by the "sync" instruction
+         * which terminates that frame.
+         *
+         * @type {Number[]}
+         */
+        this.timestamps = [];
+
+        /**
+         * The byte offset of the first byte of each frame within the
+         * recording.
+         *
+         * @type {Number[]}
+         */
+        this.starts = [];
+
+        /**
+         * The byte offset of the byte which follows the last byte of each
+         * frame within the recording.
+         *
+         * @type {Number[]}
+         */
+        this.ends = [];
+
+        /**
+         * The indices of all frames which are flagged for use as keyframes.
+         *
+         * @type {Number[]}
+         */
+        this.keyframes = [];
+
+        /**
+         * The number of bytes of drawing instructions within each frame,
+         * including the data of any image or video streams. Changes to the
+         * size of the display are counted separately within resizes.
+         *
+         * @type {Number[]}
+         */
+        this.drawing = [];
+
+        /**
+         * The number of input events (key presses and releases, mouse
+         * events, and touch events) within each frame.
+         *
+         * @type {Number[]}
+         */
+        this.input = [];
+
+        /**
+         * The number of times the size of the display changes within each
+         * frame.
+         *
+         * @type {Number[]}
+         */
+        this.resizes = [];
+
+        /**
+         * The indices of all frames which contain at least one key event.
+         *
+         * @type {Number[]}
+         */
+        this.keyFrames = [];
+
+        /**
+         * Every key event within the recording, in order, with each event
+         * represented as an array containing the keysym, whether the key was
+         * pressed, and the timestamp of the event relative to the start of
+         * the recording. Indexes retrieved from FrameIndexCache never
+         * contain key events, and this will instead be null. The key events
+         * of such indexes must be read again from the frames listed within
+         * keyFrames.
+         *
+         * @type {Array[]}
+         */
+        this.keys = [];
+
+        /**
+         * Every damaged region of the recording which was skipped because
+         * it could not be parsed, in order, with each region represented as
+         * an array containing the byte offset of the first byte skipped, the
+         * byte offset of the byte following the last byte skipped, and the
+         * timestamp of the last intact frame preceding the region (relative
+         * to the start of the recording).
+         *
+         * @type {Array[]}
+         */
+        this.damage = [];
+
+        /**
+         * Statistics describing the content of the recording, or null if
+         * the recording has not yet been indexed in full.
+         *
+         * @type {FrameIndexCache.Statistics}
+         */
+        this.statistics = null;
+
+    };
+
+    /**
+     * Statistics describing the content of a session recording, gathered
+     * while dividing the recording into frames.
+     *
+     * @constructor
+     */
+    FrameIndexCache.Statistics = function Statistics() {
+
+        /**
+         * The number of times each instruction occurs within the recording,
+         * keyed by opcode.
+         *
+         * @type {Object.<String, Number>}
+         */
+        this.instructions = {};
+
+        /**
+         * Each distinct size of the display, in order of occurrence, with
+         * each size represented as an array containing the timestamp at
+         * which the display took that size (relative to the start of the
+         * recording), the width, and the height.
+         *
+         * @type {Array[]}
+         */
+        this.dimensions = [];
+
+        /**
+         * The number of distinct visible layers (including the default
+         * layer) referenced by the recording.
+         *
+         * @type {Number}
+         */
+        this.layers = 0;
+
+        /**
+         * The number of distinct off-screen buffers referenced by the
+         * recording.
+         *
+         * @type {Number}
+         */
+        this.buffers = 0;
+
+        /**
+         * The number of streams opened within the recording, keyed by
+         * mimetype.
+         *
+         * @type {Object.<String, Number>}
+         */
+        this.streams = {};
+
+    };
+
+    return FrameIndexCache;
+
+}]);
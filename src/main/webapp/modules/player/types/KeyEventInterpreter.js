@@ -0,0 +1,578 @@
+/*
+ * Copyright (C) 2019 Glyptodon, Inc.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+ * THE SOFTWARE.
+ */
+
+/**
+ * Defines the KeyEventInterpreter class.
+ */
+angular.module('player').factory('KeyEventInterpreter', [function defineKeyEventInterpreter() {
+
+    /**
+     * The names of all modifier keys, indexed by keysym. Modifier keys do not
+     * produce key events of their own, but are included within the labels of
+     * any keys pressed while they are held.
+     *
+     * @private
+     * @type {Object.<Number, String>}
+     */
+    var MODIFIER_NAMES = {
+        0xFFE1 : 'Shift',
+        0xFFE2 : 'Shift',
+        0xFFE3 : 'Ctrl',
+        0xFFE4 : 'Ctrl',
+        0xFFE7 : 'Meta',
+        0xFFE8 : 'Meta',
+        0xFFE9 : 'Alt',
+        0xFFEA : 'Alt',
+        0xFFEB : 'Super',
+        0xFFEC : 'Super'
+    };
+
+    /**
+     * The order that modifier names should appear within the label of a key
+     * pressed while multiple modifiers are held.
+     *
+     * @private
+     * @type {String[]}
+     */
+    var MODIFIER_ORDER = [ 'Ctrl', 'Alt', 'Meta', 'Super', 'Shift' ];
+
+    /**
+     * The keysyms of all keys which only alter the meaning of other keys
+     * without being modifiers that should appear within labels (the lock
+     * keys and AltGr). Presses of these keys are ignored entirely.
+     *
+     * @private
+     * @type {Object.<Number, Boolean>}
+     */
+    var IGNORED_KEYSYMS = {
+        0xFE03 : true, // ISO_Level3_Shift (AltGr)
+        0xFF7E : true, // Mode_switch
+        0xFF7F : true, // Num_Lock
+        0xFFE5 : true, // Caps_Lock
+        0xFFE6 : true  // Shift_Lock
+    };
+
+    /**
+     * The printable characters produced by the keys of the numeric keypad,
+     * indexed by keysym.
+     *
+     * @private
+     * @type {Object.<Number, String>}
+     */
+    var KEYPAD_CHARACTERS = {
+        0xFF80 : ' ', // KP_Space
+        0xFFAA : '*', // KP_Multiply
+        0xFFAB : '+', // KP_Add
+        0xFFAC : ',', // KP_Separator
+        0xFFAD : '-', // KP_Subtract
+        0xFFAE : '.', // KP_Decimal
+        0xFFAF : '/', // KP_Divide
+        0xFFB0 : '0', // KP_0
+        0xFFB1 : '1', // KP_1
+        0xFFB2 : '2', // KP_2
+        0xFFB3 : '3', // KP_3
+        0xFFB4 : '4', // KP_4
+        0xFFB5 : '5', // KP_5
+        0xFFB6 : '6', // KP_6
+        0xFFB7 : '7', // KP_7
+        0xFFB8 : '8', // KP_8
+        0xFFB9 : '9', // KP_9
+        0xFFBD : '='  // KP_Equal
+    };
+
+    /**
+     * The whitespace produced by non-printable keys which nevertheless
+     * contribute to typed text, indexed by keysym.
+     *
+     * @private
+     * @type {Object.<Number, String>}
+     */
+    var KEYSYM_WHITESPACE = {
+        0xFF09 : '\t', // Tab
+        0xFF0D : '\n', // Return
+        0xFF89 : '\t', // KP_Tab
+        0xFF8D : '\n'  // KP_Enter
+    };
+
+    /**
+     * Human-readable names for non-printable keys, indexed by keysym.
+     * Function keys are handled separately.
+     *
+     * @private
+     * @type {Object.<Number, String>}
+     */
+    var KEYSYM_NAMES = {
+        0xFF08 : 'Backspace',
+        0xFF09 : 'Tab',
+        0xFF0D : 'Enter',
+        0xFF13 : 'Pause',
+        0xFF14 : 'Scroll Lock',
+        0xFF15 : 'SysRq',
+        0xFF1B : 'Esc',
+        0xFF50 : 'Home',
+        0xFF51 : 'Left',
+        0xFF52 : 'Up',
+        0xFF53 : 'Right',
+        0xFF54 : 'Down',
+        0xFF55 : 'Page Up',
+        0xFF56 : 'Page Down',
+        0xFF57 : 'End',
+        0xFF61 : 'Print',
+        0xFF63 : 'Insert',
+        0xFF67 : 'Menu',
+        0xFF6B : 'Break',
+        0xFF89 : 'Tab',
+        0xFF8D : 'Enter',
+        0xFF95 : 'Home',
+        0xFF96 : 'Left',
+        0xFF97 : 'Up',
+        0xFF98 : 'Right',
+        0xFF99 : 'Down',
+        0xFF9A : 'Page Up',
+        0xFF9B : 'Page Down',
+        0xFF9C : 'End',
+        0xFF9E : 'Insert',
+        0xFF9F : 'Delete',
+        0xFFFF : 'Delete'
+    };
+
+    /**
+     * The keysym of the first function key (F1). The keysyms of all other
+     * function keys (up to F35) follow sequentially.
+     *
+     * @private
+     * @constant
+     * @type {Number}
+     */
+    var KEYSYM_F1 = 0xFFBE;
+
+    /**
+     * The keysym of the last function key (F35).
+     *
+     * @private
+     * @constant
+     * @type {Number}
+     */
+    var KEYSYM_F35 = 0xFFE0;
+
+    /**
+     * The keysym of the Backspace key.
+     *
+     * @private
+     * @constant
+     * @type {Number}
+     */
+    var KEYSYM_BACKSPACE = 0xFF08;
+
+    /**
+     * The number of characters of surrounding typed text to include on
+     * either side of each match returned by KeyEventInterpreter.search().
+     *
+     * @private
+     * @constant
+     * @type {Number}
+     */
+    var SEARCH_CONTEXT_LENGTH = 16;
+
+    /**
+     * Returns the printable text represented by the given keysym, if any.
+     * Only keysyms which map directly to Unicode (Latin-1 and the 0x01000000
+     * Unicode keysym range) and the character keys of the numeric keypad are
+     * considered.
+     *
+     * @private
+     * @param {Number} keysym
+     *     The keysym to convert to text.
+     *
+     * @returns {String}
+     *     The text represented by the given keysym, or null if the keysym
+     *     does not represent a printable character.
+     */
+    var getPrintableText = function getPrintableText(keysym) {
+
+        // Latin-1 keysyms are identical to their Unicode codepoints
+        if ((keysym >= 0x20 && keysym <= 0x7E) || (keysym >= 0xA0 && keysym <= 0xFF))
+            return String.fromCharCode(keysym);
+
+        // Keysyms within the Unicode range are the codepoint plus 0x01000000
+        if (keysym >= 0x01000100 && keysym <= 0x0110FFFF) {
+
+            var codepoint = keysym - 0x01000000;
+            if (codepoint <= 0xFFFF)
+                return String.fromCharCode(codepoint);
+
+            // Characters outside the BMP require a surrogate pair
+            codepoint -= 0x10000;
+            return String.fromCharCode(0xD800 + (codepoint >> 10), 0xDC00 + (codepoint & 0x3FF));
+
+        }
+
+        return KEYPAD_CHARACTERS[keysym] || null;
+
+    };
+
+    /**
+     * Interprets the raw key events recorded within a Guacamole session
+     * recording, producing human-readable descriptions of each key pressed
+     * and reconstructing the text typed. Key events are provided through
+     * calls to handleKeyEvent(), in the order they occurred.
+     *
+     * @constructor
+     */
+    var KeyEventInterpreter = function KeyEventInterpreter() {
+
+        /**
+         * All key events interpreted thus far, in chronological order.
+         *
+         * @private
+         * @type {KeyEventInterpreter.KeyEvent[]}
+         */
+        var events = [];
+
+        /**
+         * The keysyms of all modifier keys currently held, as a map of keysym
+         * to the value true.
+         *
+         * @private
+         * @type {Object.<Number, Boolean>}
+         */
+        var heldModifiers = {};
+
+        /**
+         * Returns the names of all modifiers currently held which should
+         * appear in the labels of pressed keys, in canonical order.
+         *
+         * @private
+         * @param {Boolean} includeShift
+         *     Whether Shift should be included if held. Shift is already
+         *     accounted for within the keysyms of printable keys.
+         *
+         * @returns {String[]}
+         *     The names of all relevant modifiers currently held.
+         */
+        var getHeldModifierNames = function getHeldModifierNames(includeShift) {
+
+            var held = {};
+            for (var keysym in heldModifiers)
+                held[MODIFIER_NAMES[keysym]] = true;
+
+            return MODIFIER_ORDER.filter(function isHeld(name) {
+                return held[name] && (includeShift || name !== 'Shift');
+            });
+
+        };
+
+        /**
+         * Interprets a single key event, updating the list of interpreted
+         * events if the event represents a meaningful key press. Key releases
+         * and presses of modifier keys are tracked but do not produce events.
+         *
+         * @param {Number} keysym
+         *     The keysym of the key that was pressed or released.
+         *
+         * @param {Boolean} pressed
+         *     Whether the key was pressed (true) or released (false).
+         *
+         * @param {Number} timestamp
+         *     The time that the key event occurred, in milliseconds.
+         *
+         * @returns {KeyEventInterpreter.KeyEvent}
+         *     The interpreted key event, or null if the event did not produce
+         *     a meaningful key press.
+         */
+        this.handleKeyEvent = function handleKeyEvent(keysym, pressed, timestamp) {
+
+            // Track modifier state separately from other keys
+            if (MODIFIER_NAMES[keysym]) {
+                if (pressed)
+                    heldModifiers[keysym] = true;
+                else
+                    delete heldModifiers[keysym];
+                return null;
+            }
+
+            // Only presses of non-modifier keys are meaningful
+            if (!pressed || IGNORED_KEYSYMS[keysym])
+                return null;
+
+            var printable = getPrintableText(keysym);
+            var text = printable !== null ? printable : (KEYSYM_WHITESPACE[keysym] || null);
+
+            // Determine the name to display for the key itself
+            var name = printable;
+            if (name === null) {
+                if (KEYSYM_NAMES[keysym])
+                    name = KEYSYM_NAMES[keysym];
+                else if (keysym >= KEYSYM_F1 && keysym <= KEYSYM_F35)
+                    name = 'F' + (keysym - KEYSYM_F1 + 1);
+                else
+                    name = '0x' + keysym.toString(16).toUpperCase();
+            }
+
+            var label;
+            var modifiers = getHeldModifierNames(printable === null);
+
+            // Keys pressed while a modifier is held are shortcuts, not text
+            if (modifiers.length) {
+                label = '<' + modifiers.join('+') + '+' + (name.length === 1 ? name.toUpperCase() : name) + '>';
+                text = null;
+            }
+
+            // Printable characters represent themselves
+            else if (printable !== null)
+                label = printable;
+
+            // All other keys are labeled with their names
+            else
+                label = '<' + name + '>';
+
+            var event = new KeyEventInterpreter.KeyEvent(keysym, modifiers, label, text, timestamp);
+            events.push(event);
+            return event;
+
+        };
+
+        /**
+         * Returns all key events interpreted thus far, in chronological order.
+         * The returned array is updated as further key events are
+         * interpreted.
+         *
+         * @returns {KeyEventInterpreter.KeyEvent[]}
+         *     All key events interpreted thus far.
+         */
+        this.getEvents = function getEvents() {
+            return events;
+        };
+
+    };
+
+    /**
+     * A single meaningful key press, as interpreted by a KeyEventInterpreter.
+     *
+     * @constructor
+     * @param {Number} keysym
+     *     The keysym of the key pressed.
+     *
+     * @param {String[]} modifiers
+     *     The names of all modifiers held while the key was pressed, such as
+     *     "Ctrl" or "Alt".
+     *
+     * @param {String} label
+     *     A human-readable representation of the key press.
+     *
+     * @param {String} text
+     *     The text produced by the key press, or null if the key press did
+     *     not produce text.
+     *
+     * @param {Number} timestamp
+     *     The time that the key was pressed, in milliseconds.
+     */
+    KeyEventInterpreter.KeyEvent = function KeyEvent(keysym, modifiers, label, text, timestamp) {
+
+        /**
+         * The keysym of the key pressed.
+         *
+         * @type {Number}
+         */
+        this.keysym = keysym;
+
+        /**
+         * The names of all modifiers held while the key was pressed, such as
+         * "Ctrl" or "Alt". Shift is included only for keys which do not
+         * produce printable characters, as Shift is otherwise already
+         * reflected in the character produced.
+         *
+         * @type {String[]}
+         */
+        this.modifiers = modifiers;
+
+        /**
+         * A human-readable representation of the key press. Printable
+         * characters are represented by themselves, while other keys and any
+         * key combinations involving modifiers are represented by their names
+         * within angle brackets, such as "<Enter>" or "<Ctrl+C>".
+         *
+         * @type {String}
+         */
+        this.label = label;
+
+        /**
+         * The text produced by the key press, or null if the key press did not
+         * produce text. Keys like Enter and Tab produce whitespace, while key
+         * combinations involving modifiers other than Shift never produce
+         * text.
+         *
+         * @type {String}
+         */
+        this.text = text;
+
+        /**
+         * The time that the key was pressed, in milliseconds.
+         *
+         * @type {Number}
+         */
+        this.timestamp = timestamp;
+
+    };
+
+    /**
+     * Searches the text typed through the given key presses for all
+     * occurrences of the given string, ignoring case. The typed text is
+     * reconstructed from the text produced by each key press, with Backspace
+     * removing the previously-typed character, such that corrected typos do
+     * not prevent a match.
+     *
+     * @param {KeyEventInterpreter.KeyEvent[]} events
+     *     The key presses to search, in chronological order.
+     *
+     * @param {String} query
+     *     The string to search for.
+     *
+     * @returns {KeyEventInterpreter.SearchResult[]}
+     *     All occurrences of the given string within the typed text, in
+     *     chronological order. If the string is empty, no results are
+     *     returned.
+     */
+    KeyEventInterpreter.search = function search(events, query) {
+
+        var results = [];
+        if (!query)
+            return results;
+
+        // Reconstruct typed text, tracking the key press which produced each
+        // character
+        var characters = [];
+        var sources = [];
+        angular.forEach(events, function appendText(event) {
+
+            // Unmodified Backspace removes the previous character
+            if (event.keysym === KEYSYM_BACKSPACE && !event.modifiers.length) {
+                characters.pop();
+                sources.pop();
+            }
+
+            // All other key presses append any text produced
+            else if (event.text !== null) {
+                for (var i = 0; i < event.text.length; i++) {
+                    characters.push(event.text.charAt(i));
+                    sources.push(event);
+                }
+            }
+
+        });
+
+        // Compare characters individually such that indices within the
+        // lowercase text continue to correspond to the original characters
+        var text = characters.join('');
+        var haystack = characters.map(function toLowerCase(character) {
+            var lower = character.toLowerCase();
+            return lower.length === 1 ? lower : character;
+        }).join('');
+
+        var needle = query.toLowerCase();
+
+        // Locate each occurrence of the query, including overlapping
+        // occurrences
+        var index = haystack.indexOf(needle);
+        while (index !== -1) {
+
+            var contextStart = Math.max(index - SEARCH_CONTEXT_LENGTH, 0);
+            var contextEnd = Math.min(index + needle.length + SEARCH_CONTEXT_LENGTH, text.length);
+
+            results.push(new KeyEventInterpreter.SearchResult(
+                sources[index],
+                text.substring(contextStart, index),
+                text.substring(index, index + needle.length),
+                text.substring(index + needle.length, contextEnd)
+            ));
+
+            index = haystack.indexOf(needle, index + 1);
+
+        }
+
+        return results;
+
+    };
+
+    /**
+     * A single occurrence of a searched string within typed text, as returned
+     * by KeyEventInterpreter.search().
+     *
+     * @constructor
+     * @param {KeyEventInterpreter.KeyEvent} event
+     *     The key press which produced the first character of the match.
+     *
+     * @param {String} before
+     *     The typed text immediately preceding the match.
+     *
+     * @param {String} match
+     *     The typed text which matched the searched string.
+     *
+     * @param {String} after
+     *     The typed text immediately following the match.
+     */
+    KeyEventInterpreter.SearchResult = function SearchResult(event, before, match, after) {
+
+        /**
+         * The key press which produced the first character of the match.
+         *
+         * @type {KeyEventInterpreter.KeyEvent}
+         */
+        this.event = event;
+
+        /**
+         * The time that the first character of the match was typed, in
+         * milliseconds.
+         *
+         * @type {Number}
+         */
+        this.timestamp = event.timestamp;
+
+        /**
+         * The typed text immediately preceding the match, included for
+         * context.
+         *
+         * @type {String}
+         */
+        this.before = before;
+
+        /**
+         * The typed text which matched the searched string, in its original
+         * case.
+         *
+         * @type {String}
+         */
+        this.match = match;
+
+        /**
+         * The typed text immediately following the match, included for
+         * context.
+         *
+         * @type {String}
+         */
+        this.after = after;
+
+    };
+
+    return KeyEventInterpreter;
+
+}]);
@@ -0,0 +1,645 @@
+/*
+ * Copyright (C) 2019 Glyptodon, Inc.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+ * THE SOFTWARE.
+ */
+
+/**
+ * Defines the KeyframeCache class.
+ */
+angular.module('player').factory('KeyframeCache', ['$injector', function defineKeyframeCache($injector) {
+
+    // Required services
+    var RecordingDatabase = $injector.get('RecordingDatabase');
+
+    /**
+     * The number of milliseconds after which keyframe state left within the
+     * IndexedDB database (such as by a page which was closed before its
+     * caches could be cleared) is considered stale and may be deleted.
+     *
+     * @private
+     * @constant
+     * @type {Number}
+     */
+    var STALE_STORAGE_AGE = 86400000;
+
+    /**
+     * The approximate number of bytes of memory used by each keyframe state,
+     * excluding the layers within that state.
+     *
+     * @private
+     * @constant
+     * @type {Number}
+     */
+    var STATE_OVERHEAD = 1024;
+
+    /**
+     * The approximate number of bytes of memory used by each layer of a
+     * keyframe state, excluding the image data of that layer.
+     *
+     * @private
+     * @constant
+     * @type {Number}
+     */
+    var LAYER_OVERHEAD = 256;
+
+    /**
+     * Whether keyframe state left within IndexedDB by previous pages has
+     * been deleted.
+     *
+     * @private
+     * @type {Boolean}
+     */
+    var staleStateDeleted = false;
+
+    /**
+     * Deletes any stale keyframe state left within IndexedDB, such as by a
+     * page which was closed before its caches could be cleared. Stale state
+     * is deleted only once per page.
+     *
+     * @private
+     */
+    var deleteStaleState = function deleteStaleState() {
+
+        if (staleStateDeleted)
+            return;
+
+        staleStateDeleted = true;
+
+        var staleID = new Date().getTime() - STALE_STORAGE_AGE;
+        RecordingDatabase.withStore(RecordingDatabase.KEYFRAMES, 'readwrite', function deleteState(store) {
+            if (store)
+                store.delete(IDBKeyRange.upperBound([ staleID ], true));
+        });
+
+    };
+
+    /**
+     * Estimates the number of bytes of memory occupied by the given keyframe
+     * state, as produced by Guacamole.Client.exportState(). The estimate is
+     * dominated by the image data of each layer, which is stored as a data
+     * URL of UTF-16 characters.
+     *
+     * @private
+     * @param {Object} state
+     *     The keyframe state to measure.
+     *
+     * @returns {Number}
+     *     The approximate size of the given state, in bytes.
+     */
+    var getStateSize = function getStateSize(state) {
+
+        var size = STATE_OVERHEAD;
+
+        for (var key in state.layers) {
+            var layer = state.layers[key];
+            size += LAYER_OVERHEAD + (layer.url ? layer.url.length * 2 : 0);
+        }
+
+        return size;
+
+    };
+
+    /**
+     * A cache of the Guacamole.Client state of keyframes within a session
+     * recording. The total memory occupied by cached state is limited, with
+     * the least-recently used state evicted once that limit is exceeded.
+     * Evicted state may optionally be retained within IndexedDB, in which case
+     * it remains available (albeit more slowly) until the cache is cleared.
+     *
+     * @constructor
+     */
+    var KeyframeCache = function KeyframeCache() {
+
+        /**
+         * Reference to this KeyframeCache.
+         *
+         * @private
+         * @type {KeyframeCache}
+         */
+        var cache = this;
+
+        /**
+         * A unique identifier for this cache, used to distinguish its state
+         * from that of other caches within IndexedDB. The identifier begins
+         * with the time the cache was created such that stale state can be
+         * identified.
+         *
+         * @private
+         * @type {Number}
+         */
+        var cacheID = new Date().getTime() + Math.random();
+
+        /**
+         * The maximum number of bytes of keyframe state which should be held
+         * in memory.
+         *
+         * @private
+         * @type {Number}
+         */
+        var memoryLimit = KeyframeCache.DEFAULT_MEMORY_LIMIT;
+
+        /**
+         * Whether state evicted from memory should be retained within
+         * IndexedDB.
+         *
+         * @private
+         * @type {Boolean}
+         */
+        var storageEnabled = false;
+
+        /**
+         * Whether state may ever be retained within IndexedDB. Storage is
+         * permanently forbidden for sensitive recordings, such as recordings
+         * which were encrypted.
+         *
+         * @private
+         * @type {Boolean}
+         */
+        var storageAllowed = true;
+
+        /**
+         * All keyframe state currently held in memory, indexed by keyframe.
+         * Each entry is an object containing the state itself ("state") and
+         * its estimated size in bytes ("size").
+         *
+         * @private
+         * @type {Object.<Number, Object>}
+         */
+        var entries = {};
+
+        /**
+         * The indices of all keyframes whose state is held in memory, in order
+         * of use, with the least-recently used keyframe first.
+         *
+         * @private
+         * @type {Number[]}
+         */
+        var usage = [];
+
+        /**
+         * The estimated sizes, in bytes, of all keyframe state stored within
+         * IndexedDB, indexed by keyframe.
+         *
+         * @private
+         * @type {Object.<Number, Number>}
+         */
+        var stored = {};
+
+        /**
+         * Running statistics describing the behavior of this cache.
+         *
+         * @private
+         * @type {KeyframeCache.Statistics}
+         */
+        var statistics = new KeyframeCache.Statistics();
+
+        /**
+         * Marks the keyframe having the given index as the most recently used.
+         *
+         * @private
+         * @param {Number} index
+         *     The index of the keyframe that was used.
+         */
+        var touch = function touch(index) {
+
+            var position = usage.indexOf(index);
+            if (position !== -1)
+                usage.splice(position, 1);
+
+            usage.push(index);
+
+        };
+
+        /**
+         * Writes the given keyframe state to IndexedDB, if not already stored.
+         * If the state cannot be written, it is simply discarded.
+         *
+         * @private
+         * @param {Number} index
+         *     The index of the keyframe.
+         *
+         * @param {Object} state
+         *     The state of the keyframe.
+         *
+         * @param {Number} size
+         *     The estimated size of the state, in bytes.
+         */
+        var store = function store(index, state, size) {
+
+            if (index in stored)
+                return;
+
+            stored[index] = size;
+            statistics.storedEntries++;
+            statistics.storedSize += size;
+
+            /**
+             * Forgets that the state was stored, as the write failed.
+             *
+             * @private
+             */
+            var storeFailed = function storeFailed() {
+                if (stored[index] === size) {
+                    delete stored[index];
+                    statistics.storedEntries--;
+                    statistics.storedSize -= size;
+                }
+            };
+
+            deleteStaleState();
+            RecordingDatabase.withStore(RecordingDatabase.KEYFRAMES, 'readwrite', function writeState(store) {
+
+                if (!store) {
+                    storeFailed();
+                    return;
+                }
+
+                try {
+                    store.put(state, [ cacheID, index ]);
+                    store.transaction.onerror = storeFailed;
+                    store.transaction.onabort = storeFailed;
+                }
+                catch (e) {
+                    storeFailed();
+                }
+
+            });
+
+        };
+
+        /**
+         * Evicts least-recently used state from memory until the memory
+         * occupied by cached state is within the memory limit. Evicted state
+         * is written to IndexedDB if enabled.
+         *
+         * @private
+         */
+        var evict = function evict() {
+
+            while (usage.length && statistics.memorySize > memoryLimit) {
+
+                var index = usage.shift();
+                var entry = entries[index];
+                delete entries[index];
+
+                statistics.memoryEntries--;
+                statistics.memorySize -= entry.size;
+                statistics.evictions++;
+
+                if (storageEnabled)
+                    store(index, entry.state, entry.size);
+
+            }
+
+        };
+
+        /**
+         * Returns the maximum number of bytes of keyframe state which may be
+         * held in memory.
+         *
+         * @returns {Number}
+         *     The current memory limit, in bytes.
+         */
+        this.getMemoryLimit = function getMemoryLimit() {
+            return memoryLimit;
+        };
+
+        /**
+         * Sets the maximum number of bytes of keyframe state which may be held
+         * in memory, immediately evicting state as necessary.
+         *
+         * @param {Number} limit
+         *     The new memory limit, in bytes.
+         */
+        this.setMemoryLimit = function setMemoryLimit(limit) {
+            memoryLimit = statistics.memoryLimit = limit;
+            evict();
+        };
+
+        /**
+         * Returns whether state evicted from memory is retained within
+         * IndexedDB.
+         *
+         * @returns {Boolean}
+         *     true if evicted state is retained within IndexedDB, false
+         *     otherwise.
+         */
+        this.isStorageEnabled = function isStorageEnabled() {
+            return storageEnabled;
+        };
+
+        /**
+         * Sets whether state evicted from memory should be retained within
+         * IndexedDB. If IndexedDB is not available, evicted state is always
+         * discarded. Disabling storage does not remove state which has already
+         * been stored.
+         *
+         * @param {Boolean} enabled
+         *     true if evicted state should be retained within IndexedDB,
+         *     false otherwise.
+         */
+        this.setStorageEnabled = function setStorageEnabled(enabled) {
+            storageEnabled = !!enabled && storageAllowed && RecordingDatabase.isSupported();
+        };
+
+        /**
+         * Permanently prevents state from being retained within IndexedDB,
+         * regardless of any later calls to setStorageEnabled(). This should
+         * be invoked for recordings whose content must not be written to
+         * disk.
+         */
+        this.forbidStorage = function forbidStorage() {
+            storageAllowed = false;
+            storageEnabled = false;
+        };
+
+        /**
+         * Adds the given state to this cache, replacing any existing state
+         * for the same keyframe. Least-recently used state is evicted as
+         * necessary to remain within the memory limit.
+         *
+         * @param {Number} index
+         *     The index of the keyframe.
+         *
+         * @param {Object} state
+         *     The Guacamole.Client state of the keyframe, as produced by
+         *     exportState().
+         */
+        this.put = function put(index, state) {
+
+            var size = getStateSize(state);
+
+            // Account for any replaced state
+            var existing = entries[index];
+            if (existing) {
+                statistics.memorySize -= existing.size;
+                statistics.memoryEntries--;
+            }
+
+            entries[index] = {
+                state : state,
+                size  : size
+            };
+
+            statistics.memoryEntries++;
+            statistics.memorySize += size;
+
+            touch(index);
+            evict();
+
+        };
+
+        /**
+         * Returns whether state is available for the given keyframe, either
+         * within memory or within IndexedDB.
+         *
+         * @param {Number} index
+         *     The index of the keyframe.
+         *
+         * @returns {Boolean}
+         *     true if state is available for the given keyframe, false
+         *     otherwise.
+         */
+        this.contains = function contains(index) {
+            return (index in entries) || (index in stored);
+        };
+
+        /**
+         * Retrieves the state of the given keyframe, invoking the provided
+         * callback with that state. If the state is held in memory, the
+         * callback is invoked immediately. If the state must be read from
+         * IndexedDB, the callback is invoked asynchronously, and the state is
+         * returned to memory. If no state is available, the callback is
+         * invoked with null.
+         *
+         * @param {Number} index
+         *     The index of the keyframe.
+         *
+         * @param {Function} callback
+         *     The callback to invoke with the state of the keyframe, or with
+         *     null if no such state is available.
+         */
+        this.get = function get(index, callback) {
+
+            // Use state from memory if possible
+            var entry = entries[index];
+            if (entry) {
+                statistics.memoryHits++;
+                touch(index);
+                callback(entry.state);
+                return;
+            }
+
+            // Fail if state is not available at all
+            if (!(index in stored)) {
+                statistics.misses++;
+                callback(null);
+                return;
+            }
+
+            /**
+             * Forgets that the state was stored and reports that no state
+             * is available, as the stored state could not be read.
+             *
+             * @private
+             */
+            var readFailed = function readFailed() {
+
+                if (index in stored) {
+                    statistics.storedEntries--;
+                    statistics.storedSize -= stored[index];
+                    delete stored[index];
+                }
+
+                statistics.misses++;
+                callback(null);
+
+            };
+
+            // Otherwise, read from IndexedDB
+            RecordingDatabase.withStore(RecordingDatabase.KEYFRAMES, 'readonly', function readState(store) {
+
+                if (!store) {
+                    readFailed();
+                    return;
+                }
+
+                try {
+                    var request = store.get([ cacheID, index ]);
+
+                    request.onsuccess = function stateRead() {
+
+                        var state = request.result;
+                        if (!state) {
+                            readFailed();
+                            return;
+                        }
+
+                        // Return to memory, as the state is now in use
+                        statistics.storageHits++;
+                        cache.put(index, state);
+                        callback(state);
+
+                    };
+
+                    request.onerror = readFailed;
+                }
+                catch (e) {
+                    readFailed();
+                }
+
+            });
+
+        };
+
+        /**
+         * Returns statistics describing the current contents and past
+         * behavior of this cache.
+         *
+         * @returns {KeyframeCache.Statistics}
+         *     A snapshot of the current statistics of this cache.
+         */
+        this.getStatistics = function getStatistics() {
+            return angular.copy(statistics);
+        };
+
+        /**
+         * Removes all state from this cache, including any state stored
+         * within IndexedDB.
+         */
+        this.clear = function clear() {
+
+            var hadStoredState = statistics.storedEntries > 0;
+
+            entries = {};
+            usage = [];
+            stored = {};
+
+            statistics.memoryEntries = 0;
+            statistics.memorySize = 0;
+            statistics.storedEntries = 0;
+            statistics.storedSize = 0;
+
+            // Delete any state stored by this cache
+            if (hadStoredState) {
+                RecordingDatabase.withStore(RecordingDatabase.KEYFRAMES, 'readwrite', function deleteState(store) {
+                    if (store)
+                        store.delete(IDBKeyRange.bound([ cacheID, -Infinity ], [ cacheID, Infinity ]));
+                });
+            }
+
+        };
+
+        statistics.memoryLimit = memoryLimit;
+
+    };
+
+    /**
+     * The default maximum number of bytes of keyframe state which may be held
+     * in memory by a KeyframeCache (256 MiB).
+     *
+     * @constant
+     * @type {Number}
+     */
+    KeyframeCache.DEFAULT_MEMORY_LIMIT = 268435456;
+
+    /**
+     * Statistics describing the current contents and past behavior of a
+     * KeyframeCache.
+     *
+     * @constructor
+     */
+    KeyframeCache.Statistics = function Statistics() {
+
+        /**
+         * The maximum number of bytes of keyframe state which may be held in
+         * memory.
+         *
+         * @type {Number}
+         */
+        this.memoryLimit = 0;
+
+        /**
+         * The number of keyframes whose state is currently held in memory.
+         *
+         * @type {Number}
+         */
+        this.memoryEntries = 0;
+
+        /**
+         * The estimated number of bytes of keyframe state currently held in
+         * memory.
+         *
+         * @type {Number}
+         */
+        this.memorySize = 0;
+
+        /**
+         * The number of keyframes whose state is currently stored within
+         * IndexedDB.
+         *
+         * @type {Number}
+         */
+        this.storedEntries = 0;
+
+        /**
+         * The estimated number of bytes of keyframe state currently stored
+         * within IndexedDB.
+         *
+         * @type {Number}
+         */
+        this.storedSize = 0;
+
+        /**
+         * The number of requests for keyframe state which were satisfied from
+         * memory.
+         *
+         * @type {Number}
+         */
+        this.memoryHits = 0;
+
+        /**
+         * The number of requests for keyframe state which were satisfied from
+         * IndexedDB.
+         *
+         * @type {Number}
+         */
+        this.storageHits = 0;
+
+        /**
+         * The number of requests for keyframe state which could not be
+         * satisfied, as the state had been discarded.
+         *
+         * @type {Number}
+         */
+        this.misses = 0;
+
+        /**
+         * The number of times keyframe state has been evicted from memory.
+         *
+         * @type {Number}
+         */
+        this.evictions = 0;
+
+    };
+
+    return KeyframeCache;
+
+}]);
@@ -0,0 +1,225 @@
+/*
+ * Copyright (C) 2019 Glyptodon, Inc.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+ * THE SOFTWARE.
+ */
+
+/**
+ * Defines the RecordingCompression service.
+ */
+angular.module('player').factory('RecordingCompression', ['$injector', function defineRecordingCompression($injector) {
+
+    // Required types
+    var RecordingError = $injector.get('RecordingError');
+
+    /**
+     * The leading bytes ("magic numbers") which identify each supported
+     * compression format, indexed by the name of that format as accepted by
+     * DecompressionStream.
+     *
+     * @private
+     * @constant
+     * @type {Object.<String, Number[]>}
+     */
+    var MAGIC_BYTES = {
+        'gzip' : [ 0x1F, 0x8B ],
+        'zstd' : [ 0x28, 0xB5, 0x2F, 0xFD ]
+    };
+
+    /**
+     * Human-readable names of each supported compression format, indexed by
+     * the name of that format as accepted by DecompressionStream.
+     *
+     * @private
+     * @constant
+     * @type {Object.<String, String>}
+     */
+    var FORMAT_NAMES = {
+        'gzip' : 'Gzip',
+        'zstd' : 'Zstandard'
+    };
+
+    /**
+     * The number of leading bytes which must be read to identify the
+     * compression format of a recording.
+     *
+     * @private
+     * @constant
+     * @type {Number}
+     */
+    var MAGIC_LENGTH = 4;
+
+    /**
+     * Returns whether the given bytes begin with the given magic number.
+     *
+     * @private
+     * @param {Uint8Array} bytes
+     *     The leading bytes of a recording.
+     *
+     * @param {Number[]} magic
+     *     The magic number to test for.
+     *
+     * @returns {Boolean}
+     *     true if the given bytes begin with the given magic number, false
+     *     otherwise.
+     */
+    var hasMagic = function hasMagic(bytes, magic) {
+
+        if (bytes.length < magic.length)
+            return false;
+
+        for (var i = 0; i < magic.length; i++) {
+            if (bytes[i] !== magic[i])
+                return false;
+        }
+
+        return true;
+
+    };
+
+    /**
+     * Service which detects and decompresses compressed session recordings,
+     * such as recordings which have been archived with gzip. Guacamole
+     * session recordings must be randomly accessible to be seeked, thus
+     * compressed recordings are decompressed in full (as a stream, without
+     * first reading the entire compressed recording into memory) before
+     * being indexed.
+     */
+    var RecordingCompression = {};
+
+    /**
+     * Determines the compression format of the given recording by inspecting
+     * its leading bytes, invoking the provided callback with the result.
+     *
+     * @param {Blob} blob
+     *     The recording to inspect.
+     *
+     * @param {Function} callback
+     *     The callback to invoke with the name of the compression format of
+     *     the recording, as accepted by DecompressionStream (such as "gzip"),
+     *     or with null if the recording does not appear to be compressed.
+     */
+    RecordingCompression.getFormat = function getFormat(blob, callback) {
+
+        var reader = new FileReader();
+
+        reader.onload = function leadingBytesRead() {
+
+            var bytes = new Uint8Array(reader.result);
+
+            for (var format in MAGIC_BYTES) {
+                if (hasMagic(bytes, MAGIC_BYTES[format])) {
+                    callback(format);
+                    return;
+                }
+            }
+
+            callback(null);
+
+        };
+
+        // Failures to read will be reported when the recording is indexed
+        reader.onerror = function leadingBytesUnreadable() {
+            callback(null);
+        };
+
+        reader.readAsArrayBuffer(blob.slice(0, MAGIC_LENGTH));
+
+    };
+
+    /**
+     * Decompresses the given recording as a stream, invoking the provided
+     * callback with the decompressed recording once decompression has
+     * completed. If the recording cannot be decompressed, the error callback
+     * is invoked instead with a human-readable message describing the
+     * failure.
+     *
+     * @param {Blob} blob
+     *     The compressed recording.
+     *
+     * @param {String} format
+     *     The compression format of the recording, as returned by
+     *     getFormat().
+     *
+     * @param {Function} progressCallback
+     *     The callback to invoke as decompression progresses, receiving the
+     *     number of compressed bytes read thus far and the total size of the
+     *     compressed recording, in bytes.
+     *
+     * @param {Function} callback
+     *     The callback to invoke with the decompressed recording, as a Blob.
+     *
+     * @param {Function} errorCallback
+     *     The callback to invoke with a RecordingError describing the failure
+     *     if the recording cannot be decompressed.
+     *
+     * @returns {AbortController}
+     *     An AbortController which may be used to stop decompression. Neither
+     *     callback is invoked once decompression is aborted.
+     */
+    RecordingCompression.decompress = function decompress(blob, format,
+            progressCallback, callback, errorCallback) {
+
+        var controller = new AbortController();
+
+        var decompressor;
+        try {
+            decompressor = new DecompressionStream(format);
+        }
+        catch (e) {
+            errorCallback(new RecordingError(RecordingError.UNSUPPORTED_BROWSER,
+                FORMAT_NAMES[format] + '-compressed recordings cannot be '
+                + 'decompressed by this browser. Please decompress the '
+                + 'recording before opening it.', e.message));
+            return controller;
+        }
+
+        // Report progress as compressed data is consumed
+        var bytesRead = 0;
+        var progress = new TransformStream({
+            transform : function chunkRead(chunk, stream) {
+                bytesRead += chunk.length;
+                progressCallback(bytesRead, blob.size);
+                stream.enqueue(chunk);
+            }
+        });
+
+        var options = { signal : controller.signal };
+        var decompressed = blob.stream()
+            .pipeThrough(progress, options)
+            .pipeThrough(decompressor, options);
+
+        new Response(decompressed).blob().then(function decompressionCompleted(result) {
+            if (!controller.signal.aborted)
+                callback(result);
+        }, function decompressionFailed(error) {
+            if (!controller.signal.aborted)
+                errorCallback(RecordingError.fromException(error, RecordingError.TRUNCATED,
+                    'The ' + FORMAT_NAMES[format] + '-compressed recording '
+                    + 'could not be decompressed. The file may be incomplete '
+                    + 'or damaged.'));
+        });
+
+        return controller;
+
+    };
+
+    return RecordingCompression;
+
+}]);
@@ -0,0 +1,275 @@
+/*
+ * Copyright (C) 2019 Glyptodon, Inc.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+ * THE SOFTWARE.
+ */
+
+/**
+ * Defines the RecordingDatabase service.
+ */
+angular.module('player').factory('RecordingDatabase', [function defineRecordingDatabase() {
+
+    /**
+     * The name of the IndexedDB database used by the player.
+     *
+     * @private
+     * @constant
+     * @type {String}
+     */
+    var DATABASE_NAME = 'glen-player';
+
+    /**
+     * The current version of the structure of the IndexedDB database. This
+     * value must be incremented whenever object stores or indexes are added,
+     * or when stored data must be discarded.
+     *
+     * @private
+     * @constant
+     * @type {Number}
+     */
+    var DATABASE_VERSION = 3;
+
+    /**
+     * The IndexedDB database, once opened. If the database has not yet been
+     * opened, or cannot be opened, this will be null.
+     *
+     * @private
+     * @type {IDBDatabase}
+     */
+    var database = null;
+
+    /**
+     * Whether an attempt to open the IndexedDB database has completed,
+     * successfully or otherwise.
+     *
+     * @private
+     * @type {Boolean}
+     */
+    var databaseReady = false;
+
+    /**
+     * All callbacks awaiting the result of the attempt to open the IndexedDB
+     * database.
+     *
+     * @private
+     * @type {Function[]}
+     */
+    var pendingCallbacks = [];
+
+    /**
+     * Records the result of attempting to open the database, invoking all
+     * pending callbacks. If the database is opened only after the attempt
+     * was blocked, there will be no pending callbacks, and the database is
+     * simply retained for future use.
+     *
+     * @private
+     * @param {IDBDatabase} result
+     *     The opened database, or null if the database could not be opened.
+     */
+    var databaseOpened = function databaseOpened(result) {
+
+        database = result;
+        databaseReady = true;
+
+        // Release the database if another tab needs to upgrade it, such
+        // that newer versions of the player are not blocked by this one
+        if (database) {
+            database.onversionchange = function versionChanged() {
+                result.close();
+                if (database === result)
+                    database = null;
+            };
+        }
+
+        var callbacks = pendingCallbacks;
+        pendingCallbacks = [];
+        callbacks.forEach(function invokeCallback(callback) {
+            callback(database);
+        });
+
+    };
+
+    /**
+     * Invokes the given callback with the IndexedDB database, opening (and, if
+     * necessary, creating) that database first if it has not yet been opened.
+     *
+     * @private
+     * @param {Function} callback
+     *     The callback to invoke with the opened IDBDatabase, or with null if
+     *     IndexedDB is not available.
+     */
+    var withDatabase = function withDatabase(callback) {
+
+        // Use existing result, if available
+        if (databaseReady) {
+            callback(database);
+            return;
+        }
+
+        // Open database only if not already opening
+        pendingCallbacks.push(callback);
+        if (pendingCallbacks.length > 1)
+            return;
+
+        var request;
+        try {
+            request = window.indexedDB.open(DATABASE_NAME, DATABASE_VERSION);
+        }
+        catch (e) {
+            databaseOpened(null);
+            return;
+        }
+
+        // Create any object stores which do not yet exist, as the database
+        // may have been created by an older version of the player
+        request.onupgradeneeded = function createStores(e) {
+
+            var db = request.result;
+            var stores = db.objectStoreNames;
+
+            // Frame indexes stored by versions of the player prior to
+            // version 3 of the database contain the key events of their
+            // recordings, which may include passwords
+            if (e.oldVersion < 3 && stores.contains(RecordingDatabase.INDEXES))
+                request.transaction.objectStore(RecordingDatabase.INDEXES).clear();
+
+            if (!stores.contains(RecordingDatabase.KEYFRAMES))
+                db.createObjectStore(RecordingDatabase.KEYFRAMES);
+
+            if (!stores.contains(RecordingDatabase.INDEXES)) {
+                var indexes = db.createObjectStore(RecordingDatabase.INDEXES);
+                indexes.createIndex(RecordingDatabase.INDEXES_BY_ACCESS_TIME, 'accessed');
+            }
+
+            if (!stores.contains(RecordingDatabase.ANNOTATIONS))
+                db.createObjectStore(RecordingDatabase.ANNOTATIONS);
+
+        };
+
+        request.onsuccess = function openSucceeded() {
+            databaseOpened(request.result);
+        };
+
+        // Proceed without the database if an older version of the player
+        // in another tab prevents the database from being upgraded
+        request.onblocked = function openBlocked() {
+            databaseOpened(null);
+        };
+
+        request.onerror = function openFailed() {
+            databaseOpened(null);
+        };
+
+    };
+
+    /**
+     * Service which provides access to the IndexedDB database used by the
+     * player to retain data related to session recordings, such as keyframe
+     * state, frame indexes, and annotations.
+     */
+    var RecordingDatabase = {};
+
+    /**
+     * The name of the object store containing keyframe state which has been
+     * evicted from memory. Records are keyed by an array containing the ID of
+     * the owning KeyframeCache and the index of the keyframe.
+     *
+     * @constant
+     * @type {String}
+     */
+    RecordingDatabase.KEYFRAMES = 'keyframes';
+
+    /**
+     * The name of the object store containing the frame indexes of previously
+     * opened recordings. Records are keyed by a string uniquely identifying
+     * the content of the recording.
+     *
+     * @constant
+     * @type {String}
+     */
+    RecordingDatabase.INDEXES = 'indexes';
+
+    /**
+     * The name of the index of the INDEXES object store which orders frame
+     * indexes by the time they were last used.
+     *
+     * @constant
+     * @type {String}
+     */
+    RecordingDatabase.INDEXES_BY_ACCESS_TIME = 'accessed';
+
+    /**
+     * The name of the object store containing the annotations made by the
+     * user on each recording, keyed by the SHA-256 hash of the recording.
+     *
+     * @constant
+     * @type {String}
+     */
+    RecordingDatabase.ANNOTATIONS = 'annotations';
+
+    /**
+     * Begins a new transaction against the given object store, invoking the
+     * provided callback with that object store. If IndexedDB is not available
+     * or the transaction cannot be started, the callback is invoked with null.
+     *
+     * @param {String} storeName
+     *     The name of the object store, such as RecordingDatabase.KEYFRAMES
+     *     or RecordingDatabase.INDEXES.
+     *
+     * @param {String} mode
+     *     The mode of the transaction, either "readonly" or "readwrite".
+     *
+     * @param {Function} callback
+     *     The callback to invoke with the IDBObjectStore within the new
+     *     transaction, or with null if no transaction could be started.
+     */
+    RecordingDatabase.withStore = function withStore(storeName, mode, callback) {
+        withDatabase(function beginTransaction(db) {
+
+            var store = null;
+
+            if (db) {
+                try {
+                    store = db.transaction(storeName, mode).objectStore(storeName);
+                }
+                catch (e) {
+                    store = null;
+                }
+            }
+
+            callback(store);
+
+        });
+    };
+
+    /**
+     * Returns whether IndexedDB is provided by the browser. Even if IndexedDB
+     * is provided, it may still fail to open (such as in private browsing
+     * modes).
+     *
+     * @returns {Boolean}
+     *     true if IndexedDB is provided by the browser, false otherwise.
+     */
+    RecordingDatabase.isSupported = function isSupported() {
+        return !!window.indexedDB;
+    };
+
+    return RecordingDatabase;
+
+}]);
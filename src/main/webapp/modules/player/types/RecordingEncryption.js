@@ -0,0 +1,370 @@
+/*
+ * Copyright (C) 2019 Glyptodon, Inc.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+ * THE SOFTWARE.
+ */
+
+/**
+ * Defines the RecordingEncryption service.
+ */
+angular.module('player').factory('RecordingEncryption', ['$injector', function defineRecordingEncryption($injector) {
+
+    // Required types
+    var RecordingError = $injector.get('RecordingError');
+
+    /**
+     * The bytes which begin every encrypted recording: the ASCII string
+     * "GLENENC" followed by the version of the container format (1).
+     *
+     * @private
+     * @constant
+     * @type {Number[]}
+     */
+    var MAGIC_BYTES = [ 0x47, 0x4C, 0x45, 0x4E, 0x45, 0x4E, 0x43, 0x01 ];
+
+    /**
+     * The size of the header of an encrypted recording, in bytes. The header
+     * consists of the magic bytes, the PBKDF2 iteration count (32-bit
+     * unsigned, big-endian), the plaintext chunk size (32-bit unsigned,
+     * big-endian), a 16-byte salt, and an 8-byte nonce prefix.
+     *
+     * @private
+     * @constant
+     * @type {Number}
+     */
+    var HEADER_SIZE = 40;
+
+    /**
+     * The size of the authentication tag which follows the ciphertext of
+     * each chunk, in bytes.
+     *
+     * @private
+     * @constant
+     * @type {Number}
+     */
+    var TAG_SIZE = 16;
+
+    /**
+     * The largest plaintext chunk size which will be accepted, in bytes.
+     * Larger chunks would require excessive memory to decrypt.
+     *
+     * @private
+     * @constant
+     * @type {Number}
+     */
+    var MAX_CHUNK_SIZE = 16777216;
+
+    /**
+     * The largest PBKDF2 iteration count which will be accepted. As the
+     * iteration count is read from the unauthenticated header, larger counts
+     * could cause key derivation to run for hours before the passphrase can
+     * be checked.
+     *
+     * @private
+     * @constant
+     * @type {Number}
+     */
+    var MAX_ITERATIONS = 10000000;
+
+    /**
+     * Returns whether the given bytes begin with the "GLENENC" signature of
+     * an encrypted recording, regardless of the version of the container
+     * format which follows that signature.
+     *
+     * @private
+     * @param {Uint8Array} bytes
+     *     The leading bytes of a recording.
+     *
+     * @returns {Boolean}
+     *     true if the given bytes begin with the signature of an encrypted
+     *     recording, false otherwise.
+     */
+    var hasSignature = function hasSignature(bytes) {
+
+        if (bytes.length < MAGIC_BYTES.length)
+            return false;
+
+        for (var i = 0; i < MAGIC_BYTES.length - 1; i++) {
+            if (bytes[i] !== MAGIC_BYTES[i])
+                return false;
+        }
+
+        return true;
+
+    };
+
+    /**
+     * Returns whether the given bytes begin with the magic bytes of an
+     * encrypted recording using the supported version of the container
+     * format.
+     *
+     * @private
+     * @param {Uint8Array} bytes
+     *     The leading bytes of a recording.
+     *
+     * @returns {Boolean}
+     *     true if the given bytes begin with the magic bytes of an encrypted
+     *     recording, false otherwise.
+     */
+    var hasMagic = function hasMagic(bytes) {
+        return hasSignature(bytes) && bytes[MAGIC_BYTES.length - 1] === MAGIC_BYTES[MAGIC_BYTES.length - 1];
+    };
+
+    /**
+     * Derives the AES-GCM key used to encrypt a recording from the given
+     * passphrase using PBKDF2 with SHA-256.
+     *
+     * @private
+     * @param {String} passphrase
+     *     The passphrase provided by the user.
+     *
+     * @param {Uint8Array} salt
+     *     The salt from the header of the recording.
+     *
+     * @param {Number} iterations
+     *     The PBKDF2 iteration count from the header of the recording.
+     *
+     * @returns {Promise.<CryptoKey>}
+     *     A promise which resolves with the derived AES-GCM key.
+     */
+    var deriveKey = function deriveKey(passphrase, salt, iterations) {
+        return crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase),
+                'PBKDF2', false, [ 'deriveKey' ])
+            .then(function passphraseImported(baseKey) {
+                return crypto.subtle.deriveKey({
+                    name       : 'PBKDF2',
+                    salt       : salt,
+                    iterations : iterations,
+                    hash       : 'SHA-256'
+                }, baseKey, {
+                    name   : 'AES-GCM',
+                    length : 256
+                }, false, [ 'decrypt' ]);
+            });
+    };
+
+    /**
+     * Service which detects and decrypts encrypted session recordings.
+     * Encrypted recordings are divided into chunks, each encrypted with
+     * AES-256-GCM using a key derived from a passphrase with PBKDF2, such
+     * that recordings can be decrypted entirely in memory without holding
+     * more than one chunk of ciphertext at a time. The container format is
+     * documented within README.md.
+     */
+    var RecordingEncryption = {};
+
+    /**
+     * Determines whether the given recording is encrypted by inspecting its
+     * leading bytes, invoking the provided callback with the result.
+     *
+     * @param {Blob} blob
+     *     The recording to inspect.
+     *
+     * @param {Function} callback
+     *     The callback to invoke with true if the recording is encrypted,
+     *     false otherwise, followed by whether the recording uses a version
+     *     of the encrypted container format which can be decrypted.
+     */
+    RecordingEncryption.isEncrypted = function isEncrypted(blob, callback) {
+
+        var reader = new FileReader();
+
+        reader.onload = function leadingBytesRead() {
+            var bytes = new Uint8Array(reader.result);
+            callback(hasSignature(bytes), hasMagic(bytes));
+        };
+
+        // Failures to read will be reported when the recording is indexed
+        reader.onerror = function leadingBytesUnreadable() {
+            callback(false, false);
+        };
+
+        reader.readAsArrayBuffer(blob.slice(0, MAGIC_BYTES.length));
+
+    };
+
+    /**
+     * Decrypts the given encrypted recording using the given passphrase,
+     * invoking the provided callback with the decrypted recording once
+     * decryption has completed. If the recording cannot be decrypted, the
+     * error callback is invoked instead with a RecordingError describing the
+     * failure and whether the failure is due to an incorrect passphrase.
+     *
+     * @param {Blob} blob
+     *     The encrypted recording.
+     *
+     * @param {String} passphrase
+     *     The passphrase provided by the user.
+     *
+     * @param {Function} progressCallback
+     *     The callback to invoke as decryption progresses, receiving the
+     *     number of encrypted bytes decrypted thus far and the total size of
+     *     the encrypted recording, in bytes.
+     *
+     * @param {Function} callback
+     *     The callback to invoke with the decrypted recording, as a Blob.
+     *
+     * @param {Function} errorCallback
+     *     The callback to invoke if the recording cannot be decrypted,
+     *     receiving a RecordingError describing the failure and a boolean
+     *     which is true if the passphrase is incorrect.
+     *
+     * @returns {AbortController}
+     *     An AbortController which may be used to stop decryption. Neither
+     *     callback is invoked once decryption is aborted.
+     */
+    RecordingEncryption.decrypt = function decrypt(blob, passphrase,
+            progressCallback, callback, errorCallback) {
+
+        var controller = new AbortController();
+
+        // WebCrypto is only available within secure contexts
+        if (!window.crypto || !crypto.subtle) {
+            errorCallback(new RecordingError(RecordingError.UNSUPPORTED_BROWSER,
+                'Encrypted recordings can only be opened if the player is '
+                + 'accessed over HTTPS.'), false);
+            return controller;
+        }
+
+        var key;
+        var chunkSize;
+        var noncePrefix;
+
+        // All decrypted chunks thus far
+        var plaintext = [];
+
+        // Byte offset of the next chunk and the index of that chunk
+        var offset = HEADER_SIZE;
+        var chunkIndex = 0;
+
+        /**
+         * Reports the given failure through the error callback, unless
+         * decryption has been aborted.
+         *
+         * @private
+         * @param {RecordingError} error
+         *     An error describing the failure.
+         *
+         * @param {Boolean} incorrectPassphrase
+         *     Whether the failure is due to an incorrect passphrase.
+         */
+        var fail = function fail(error, incorrectPassphrase) {
+            if (!controller.signal.aborted)
+                errorCallback(error, incorrectPassphrase);
+        };
+
+        /**
+         * Decrypts the chunk at the current offset, continuing with the
+         * following chunk until the entire recording has been decrypted.
+         *
+         * @private
+         */
+        var decryptNextChunk = function decryptNextChunk() {
+
+            if (controller.signal.aborted)
+                return;
+
+            var end = Math.min(offset + chunkSize + TAG_SIZE, blob.size);
+            var finalChunk = (end === blob.size);
+
+            // Each chunk uses a unique IV consisting of the nonce prefix
+            // followed by the index of the chunk
+            var iv = new Uint8Array(12);
+            iv.set(noncePrefix);
+            new DataView(iv.buffer).setUint32(8, chunkIndex);
+
+            blob.slice(offset, end).arrayBuffer().then(function chunkRead(ciphertext) {
+                return crypto.subtle.decrypt({
+                    name           : 'AES-GCM',
+                    iv             : iv,
+                    additionalData : new Uint8Array([ finalChunk ? 1 : 0 ])
+                }, key, ciphertext);
+            }).then(function chunkDecrypted(chunk) {
+
+                if (controller.signal.aborted)
+                    return;
+
+                plaintext.push(chunk);
+                offset = end;
+                chunkIndex++;
+
+                progressCallback(offset, blob.size);
+
+                if (finalChunk)
+                    callback(new Blob(plaintext));
+                else
+                    decryptNextChunk();
+
+            }, function chunkFailed() {
+
+                // Authentication of the first chunk fails only if the key
+                // is wrong (or the recording is damaged from the start)
+                if (chunkIndex === 0)
+                    fail(new RecordingError(RecordingError.PERMISSION_DENIED,
+                        'The passphrase is incorrect.'), true);
+                else
+                    fail(new RecordingError(RecordingError.TRUNCATED,
+                        'The encrypted recording is incomplete or damaged '
+                        + 'and could not be decrypted.'), false);
+
+            });
+
+        };
+
+        // Read header, derive key, and decrypt all chunks
+        blob.slice(0, HEADER_SIZE).arrayBuffer().then(function headerRead(buffer) {
+
+            var header = new DataView(buffer);
+            if (buffer.byteLength < HEADER_SIZE || !hasMagic(new Uint8Array(buffer))) {
+                fail(new RecordingError(RecordingError.TRUNCATED,
+                    'The encrypted recording is incomplete or damaged and '
+                    + 'could not be decrypted.'), false);
+                return;
+            }
+
+            var iterations = header.getUint32(8);
+            chunkSize = header.getUint32(12);
+            noncePrefix = new Uint8Array(buffer, 32, 8);
+
+            if (!iterations || iterations > MAX_ITERATIONS
+                    || !chunkSize || chunkSize > MAX_CHUNK_SIZE) {
+                fail(new RecordingError(RecordingError.UNSUPPORTED_VERSION,
+                    'The encrypted recording uses unsupported encryption '
+                    + 'parameters and could not be decrypted.'), false);
+                return;
+            }
+
+            return deriveKey(passphrase, new Uint8Array(buffer, 16, 16), iterations)
+                .then(function keyDerived(derivedKey) {
+                    key = derivedKey;
+                    decryptNextChunk();
+                });
+
+        }).catch(function decryptionFailed(error) {
+            fail(RecordingError.fromException(error, RecordingError.READ_FAILED,
+                'The encrypted recording could not be read.'), false);
+        });
+
+        return controller;
+
+    };
+
+    return RecordingEncryption;
+
+}]);
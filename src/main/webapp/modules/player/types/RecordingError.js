@@ -0,0 +1,197 @@
+/*
+ * Copyright (C) 2019 Glyptodon, Inc.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+ * THE SOFTWARE.
+ */
+
+/**
+ * Defines the RecordingError class.
+ */
+angular.module('player').factory('RecordingError', [function defineRecordingError() {
+
+    /**
+     * Regular expression which matches the messages of errors which indicate
+     * that the browser ran out of memory, including uncaught errors reported
+     * by Web Workers.
+     *
+     * @private
+     * @constant
+     * @type {RegExp}
+     */
+    var OUT_OF_MEMORY_MESSAGE = /out of memory|allocation failed|invalid (string|array buffer) length/i;
+
+    /**
+     * The names of DOMExceptions which indicate that the browser was not
+     * permitted to read a file.
+     *
+     * @private
+     * @constant
+     * @type {String[]}
+     */
+    var PERMISSION_DENIED_NAMES = [ 'NotReadableError', 'NotAllowedError', 'SecurityError' ];
+
+    /**
+     * An error which prevents a session recording from being loaded or
+     * played back.
+     *
+     * @constructor
+     * @param {String} code
+     *     The code identifying the type of error, as defined by the constants
+     *     of RecordingError (RecordingError.READ_FAILED, etc.).
+     *
+     * @param {String} message
+     *     A human-readable message describing the error.
+     *
+     * @param {String} [details]
+     *     Technical details describing the underlying cause of the error,
+     *     such as the message of the exception which was thrown, if any.
+     */
+    var RecordingError = function RecordingError(code, message, details) {
+
+        /**
+         * The code identifying the type of error, as defined by the constants
+         * of RecordingError (RecordingError.READ_FAILED, etc.).
+         *
+         * @type {String}
+         */
+        this.code = code;
+
+        /**
+         * A human-readable message describing the error.
+         *
+         * @type {String}
+         */
+        this.message = message;
+
+        /**
+         * Technical details describing the underlying cause of the error, or
+         * null if no such details are available.
+         *
+         * @type {String}
+         */
+        this.details = details || null;
+
+    };
+
+    /**
+     * The recording could not be read or downloaded.
+     *
+     * @constant
+     * @type {String}
+     */
+    RecordingError.READ_FAILED = 'READ_FAILED';
+
+    /**
+     * The browser or server did not permit the recording to be read.
+     *
+     * @constant
+     * @type {String}
+     */
+    RecordingError.PERMISSION_DENIED = 'PERMISSION_DENIED';
+
+    /**
+     * The file does not contain a Guacamole session recording.
+     *
+     * @constant
+     * @type {String}
+     */
+    RecordingError.NOT_A_RECORDING = 'NOT_A_RECORDING';
+
+    /**
+     * The recording is encrypted using a version of the encrypted recording
+     * format (or encryption parameters) which this player does not support.
+     * Guacamole recordings themselves do not declare a protocol version, so
+     * unencrypted recordings never fail with this error.
+     *
+     * @constant
+     * @type {String}
+     */
+    RecordingError.UNSUPPORTED_VERSION = 'UNSUPPORTED_VERSION';
+
+    /**
+     * The recording is incomplete, such that nothing within the recording
+     * could be played.
+     *
+     * @constant
+     * @type {String}
+     */
+    RecordingError.TRUNCATED = 'TRUNCATED';
+
+    /**
+     * The browser ran out of memory while loading the recording.
+     *
+     * @constant
+     * @type {String}
+     */
+    RecordingError.OUT_OF_MEMORY = 'OUT_OF_MEMORY';
+
+    /**
+     * The recording requires functionality which is not available within
+     * the current browser or page, such as a decompression format or
+     * WebCrypto.
+     *
+     * @constant
+     * @type {String}
+     */
+    RecordingError.UNSUPPORTED_BROWSER = 'UNSUPPORTED_BROWSER';
+
+    /**
+     * Creates a new RecordingError describing the given exception. Exceptions
+     * which indicate that the browser ran out of memory or was not permitted
+     * to read the recording are assigned the corresponding codes regardless
+     * of the code provided.
+     *
+     * @param {Error|DOMException|Object} exception
+     *     The exception which was thrown, or an object having the same "name"
+     *     and "message" properties, such as an exception relayed by a Web
+     *     Worker.
+     *
+     * @param {String} code
+     *     The code to assign if the exception does not indicate a more
+     *     specific type of error.
+     *
+     * @param {String} message
+     *     The human-readable message to assign if the exception does not
+     *     indicate a more specific type of error.
+     *
+     * @returns {RecordingError}
+     *     A new RecordingError describing the given exception.
+     */
+    RecordingError.fromException = function fromException(exception, code, message) {
+
+        var name = (exception && exception.name) || '';
+        var details = (exception && exception.message) || null;
+
+        if (name === 'QuotaExceededError' || OUT_OF_MEMORY_MESSAGE.test(details))
+            return new RecordingError(RecordingError.OUT_OF_MEMORY,
+                'There is not enough memory available to load the recording.',
+                details);
+
+        if (PERMISSION_DENIED_NAMES.indexOf(name) !== -1)
+            return new RecordingError(RecordingError.PERMISSION_DENIED,
+                'The browser was not permitted to read the recording.',
+                details);
+
+        return new RecordingError(code, message, details);
+
+    };
+
+    return RecordingError;
+
+}]);
@@ -0,0 +1,528 @@
+/*
+ * Copyright (C) 2019 Glyptodon, Inc.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+ * THE SOFTWARE.
+ */
+
+/**
+ * Defines the RecordingIntegrity service.
+ */
+angular.module('player').factory('RecordingIntegrity', [function defineRecordingIntegrity() {
+
+    /**
+     * The largest recording, in bytes, which should be hashed by reading the
+     * entire recording into memory and using WebCrypto. Larger recordings are
+     * hashed incrementally within a Web Worker.
+     *
+     * @private
+     * @constant
+     * @type {Number}
+     */
+    var MAX_DIRECT_HASH_SIZE = 67108864;
+
+    /**
+     * Regular expression which matches a line of output from the GNU
+     * "sha256sum" utility, capturing the hash and the filename.
+     *
+     * @private
+     * @constant
+     * @type {RegExp}
+     */
+    var GNU_MANIFEST_LINE = /^\\?([0-9a-fA-F]{64}) [ *](.+)$/;
+
+    /**
+     * Regular expression which matches a line of BSD-style checksum output
+     * (as produced by "sha256sum --tag" or "shasum -a 256 --tag"), capturing
+     * the filename and the hash.
+     *
+     * @private
+     * @constant
+     * @type {RegExp}
+     */
+    var BSD_MANIFEST_LINE = /^SHA256 \((.+)\) = ([0-9a-fA-F]{64})$/;
+
+    /**
+     * Converts the given ArrayBuffer to a lowercase hexadecimal string.
+     *
+     * @private
+     * @param {ArrayBuffer} buffer
+     *     The data to convert.
+     *
+     * @returns {String}
+     *     The given data as a lowercase hexadecimal string.
+     */
+    var toHex = function toHex(buffer) {
+
+        var bytes = new Uint8Array(buffer);
+        var hex = '';
+
+        for (var i = 0; i < bytes.length; i++)
+            hex += ('0' + bytes[i].toString(16)).slice(-2);
+
+        return hex;
+
+    };
+
+    /**
+     * Decodes the given base64 string.
+     *
+     * @private
+     * @param {String} value
+     *     The base64 string to decode.
+     *
+     * @returns {Uint8Array}
+     *     The decoded data.
+     */
+    var fromBase64 = function fromBase64(value) {
+
+        var binary = window.atob(value.replace(/\s+/g, ''));
+        var bytes = new Uint8Array(binary.length);
+
+        for (var i = 0; i < binary.length; i++)
+            bytes[i] = binary.charCodeAt(i);
+
+        return bytes;
+
+    };
+
+    /**
+     * Returns the filename portion of the given path or URL, excluding any
+     * directories, query string, or fragment.
+     *
+     * @private
+     * @param {String} path
+     *     The path or URL to extract the filename from.
+     *
+     * @returns {String}
+     *     The filename portion of the given path or URL.
+     */
+    var getFilename = function getFilename(path) {
+        return path.replace(/[?#].*$/, '').replace(/^.*[\/\\]/, '');
+    };
+
+    /**
+     * Parses the given manifest, returning all hashes and signatures that it
+     * contains. Manifests may be either the output of "sha256sum" (in GNU or
+     * BSD format), or a JSON object containing a "sha256" property, an
+     * optional "signature" property, and an optional "file" property.
+     *
+     * @private
+     * @param {String} text
+     *     The content of the manifest.
+     *
+     * @returns {Object[]}
+     *     An array of objects, one for each file listed within the manifest,
+     *     each containing the "file", "sha256", and "signature" properties
+     *     (where "file" and "signature" may be null). If the manifest cannot
+     *     be parsed, this will be null.
+     */
+    var parseManifest = function parseManifest(text) {
+
+        // JSON manifests describe a single recording
+        if (/^\s*\{/.test(text)) {
+
+            var json;
+            try {
+                json = JSON.parse(text);
+            }
+            catch (e) {
+                return null;
+            }
+
+            if (typeof json.sha256 !== 'string' || !/^[0-9a-fA-F]{64}$/.test(json.sha256))
+                return null;
+
+            return [{
+                file      : typeof json.file === 'string' ? json.file : null,
+                sha256    : json.sha256.toLowerCase(),
+                signature : typeof json.signature === 'string' ? json.signature : null
+            }];
+
+        }
+
+        // All other manifests are checksum listings
+        var entries = [];
+        var lines = text.split(/\r?\n/);
+
+        for (var i = 0; i < lines.length; i++) {
+
+            var line = lines[i].trim();
+            if (!line)
+                continue;
+
+            var gnu = GNU_MANIFEST_LINE.exec(line);
+            var bsd = BSD_MANIFEST_LINE.exec(line);
+
+            if (gnu)
+                entries.push({ file : gnu[2], sha256 : gnu[1].toLowerCase(), signature : null });
+            else if (bsd)
+                entries.push({ file : bsd[1], sha256 : bsd[2].toLowerCase(), signature : null });
+            else
+                return null;
+
+        }
+
+        return entries.length ? entries : null;
+
+    };
+
+    /**
+     * Retrieves and imports all public keys trusted to sign manifests, as
+     * listed in PEM format within the file at TRUSTED_KEYS_URL.
+     *
+     * @private
+     * @param {Function} callback
+     *     The callback to invoke with an array of all trusted CryptoKeys. If
+     *     no keys are trusted, or the trusted keys cannot be retrieved, the
+     *     array will be empty.
+     */
+    var getTrustedKeys = function getTrustedKeys(callback) {
+
+        var request = new XMLHttpRequest();
+        request.open('GET', RecordingIntegrity.TRUSTED_KEYS_URL);
+
+        request.onload = function keysRetrieved() {
+
+            if (request.status < 200 || request.status >= 300) {
+                callback([]);
+                return;
+            }
+
+            var pem = /-----BEGIN PUBLIC KEY-----([^-]+)-----END PUBLIC KEY-----/g;
+            var imports = [];
+            var match;
+
+            while ((match = pem.exec(request.responseText))) {
+                imports.push(crypto.subtle.importKey('spki', fromBase64(match[1]), {
+                    name : 'RSASSA-PKCS1-v1_5',
+                    hash : 'SHA-256'
+                }, false, [ 'verify' ]).catch(function keyInvalid() {
+                    return null;
+                }));
+            }
+
+            Promise.all(imports).then(function keysImported(keys) {
+                callback(keys.filter(function isValid(key) {
+                    return key;
+                }));
+            });
+
+        };
+
+        request.onerror = function keysUnavailable() {
+            callback([]);
+        };
+
+        request.send();
+
+    };
+
+    /**
+     * Service which calculates the SHA-256 hashes of session recordings and
+     * verifies those hashes against sidecar manifests, such that reviewers
+     * can demonstrate that the recording they watched is the recording that
+     * was captured.
+     */
+    var RecordingIntegrity = {};
+
+    /**
+     * The URL of the Web Worker script which hashes large recordings,
+     * relative to the page containing the player.
+     *
+     * @constant
+     * @type {String}
+     */
+    RecordingIntegrity.HASHER_URL = 'workers/sha256.js';
+
+    /**
+     * The URL of the file listing the public keys trusted to sign manifests,
+     * relative to the page containing the player. The file must contain zero
+     * or more RSA public keys in PEM ("BEGIN PUBLIC KEY") format.
+     *
+     * @constant
+     * @type {String}
+     */
+    RecordingIntegrity.TRUSTED_KEYS_URL = 'trusted-keys.pem';
+
+    /**
+     * The status of a recording whose hash matches its manifest, and whose
+     * manifest signature (if any) is valid.
+     *
+     * @constant
+     * @type {String}
+     */
+    RecordingIntegrity.VERIFIED = 'verified';
+
+    /**
+     * The status of a recording whose hash does not match its manifest, or
+     * whose manifest signature is invalid.
+     *
+     * @constant
+     * @type {String}
+     */
+    RecordingIntegrity.MISMATCH = 'mismatch';
+
+    /**
+     * The status of a recording which has not been (or could not be)
+     * checked against a manifest.
+     *
+     * @constant
+     * @type {String}
+     */
+    RecordingIntegrity.UNVERIFIED = 'unverified';
+
+    /**
+     * Calculates the SHA-256 hash of the given recording, invoking the
+     * provided callback with that hash. Small recordings are hashed directly
+     * using WebCrypto, while large recordings (or all recordings, if WebCrypto
+     * is unavailable) are hashed incrementally within a Web Worker.
+     *
+     * @param {Blob} blob
+     *     The recording to hash.
+     *
+     * @param {Function} callback
+     *     The callback to invoke with the SHA-256 hash of the recording, as a
+     *     lowercase hexadecimal string.
+     *
+     * @param {Function} errorCallback
+     *     The callback to invoke with a human-readable message if the
+     *     recording cannot be hashed.
+     *
+     * @returns {AbortController}
+     *     An AbortController which may be used to stop hashing. Neither
+     *     callback is invoked once hashing is aborted.
+     */
+    RecordingIntegrity.computeHash = function computeHash(blob, callback, errorCallback) {
+
+        var controller = new AbortController();
+
+        /**
+         * Reports the given failure through the error callback, unless
+         * hashing has been aborted.
+         *
+         * @private
+         * @param {String} message
+         *     A human-readable message describing the failure.
+         */
+        var fail = function fail(message) {
+            if (!controller.signal.aborted)
+                errorCallback(message);
+        };
+
+        // Hash small recordings directly
+        if (window.crypto && crypto.subtle && blob.size <= MAX_DIRECT_HASH_SIZE) {
+
+            blob.arrayBuffer().then(function recordingRead(buffer) {
+                return crypto.subtle.digest('SHA-256', buffer);
+            }).then(function recordingHashed(hash) {
+                if (!controller.signal.aborted)
+                    callback(toHex(hash));
+            }, function hashFailed() {
+                fail('The recording could not be read to calculate its hash.');
+            });
+
+            return controller;
+
+        }
+
+        // Hash large recordings incrementally, without blocking the page
+        var hasher = new Worker(RecordingIntegrity.HASHER_URL);
+
+        hasher.onmessage = function hasherMessageReceived(e) {
+
+            var message = e.data;
+
+            if (message.type === 'complete') {
+                hasher.terminate();
+                if (!controller.signal.aborted)
+                    callback(message.hash);
+            }
+
+            else if (message.type === 'error') {
+                hasher.terminate();
+                fail(message.message);
+            }
+
+        };
+
+        hasher.onerror = function hasherFailed(e) {
+            e.preventDefault();
+            hasher.terminate();
+            fail('The recording could not be read to calculate its hash.');
+        };
+
+        controller.signal.addEventListener('abort', function hashingAborted() {
+            hasher.terminate();
+        });
+
+        hasher.postMessage({ blob : blob });
+        return controller;
+
+    };
+
+    /**
+     * Verifies the given hash of a recording against the given manifest,
+     * invoking the provided callback with the result. If the manifest lists
+     * multiple recordings, the entry for the recording is located by
+     * filename. If the manifest is signed, the signature must be valid for
+     * one of the trusted keys listed at TRUSTED_KEYS_URL.
+     *
+     * @param {String} hash
+     *     The SHA-256 hash of the recording, as returned by computeHash().
+     *
+     * @param {String} name
+     *     The filename or URL of the recording.
+     *
+     * @param {Blob} manifest
+     *     The manifest provided by the user.
+     *
+     * @param {Function} callback
+     *     The callback to invoke with the RecordingIntegrity.Result of the
+     *     verification.
+     */
+    RecordingIntegrity.verify = function verify(hash, name, manifest, callback) {
+
+        var reader = new FileReader();
+
+        reader.onload = function manifestRead() {
+
+            var entries = parseManifest(reader.result);
+            if (!entries) {
+                callback(new RecordingIntegrity.Result(RecordingIntegrity.UNVERIFIED,
+                    'The manifest is not in a recognized format.'));
+                return;
+            }
+
+            // Locate the entry for the recording, falling back to the sole
+            // entry of single-recording manifests
+            var filename = getFilename(name || '');
+            var entry = entries.filter(function matchesFilename(candidate) {
+                return candidate.file && getFilename(candidate.file) === filename;
+            })[0] || (entries.length === 1 ? entries[0] : null);
+
+            if (!entry) {
+                callback(new RecordingIntegrity.Result(RecordingIntegrity.UNVERIFIED,
+                    'The manifest does not list this recording.'));
+                return;
+            }
+
+            if (entry.sha256 !== hash) {
+                callback(new RecordingIntegrity.Result(RecordingIntegrity.MISMATCH,
+                    'The hash of this recording does not match the manifest. '
+                    + 'The recording may have been modified.'));
+                return;
+            }
+
+            // Hash alone is sufficient if the manifest is not signed
+            if (!entry.signature) {
+                callback(new RecordingIntegrity.Result(RecordingIntegrity.VERIFIED,
+                    'The hash of this recording matches the manifest.'));
+                return;
+            }
+
+            if (!window.crypto || !crypto.subtle) {
+                callback(new RecordingIntegrity.Result(RecordingIntegrity.UNVERIFIED,
+                    'The signature of the manifest can only be checked if the '
+                    + 'player is accessed over HTTPS.'));
+                return;
+            }
+
+            // Verify the signature of the hash against all trusted keys
+            getTrustedKeys(function keysAvailable(keys) {
+
+                if (!keys.length) {
+                    callback(new RecordingIntegrity.Result(RecordingIntegrity.UNVERIFIED,
+                        'The hash of this recording matches the manifest, but '
+                        + 'no keys are trusted to check its signature.'));
+                    return;
+                }
+
+                var signature;
+                try {
+                    signature = fromBase64(entry.signature);
+                }
+                catch (e) {
+                    signature = new Uint8Array(0);
+                }
+
+                var data = new TextEncoder().encode(entry.sha256);
+                Promise.all(keys.map(function verifySignature(key) {
+                    return crypto.subtle.verify('RSASSA-PKCS1-v1_5', key, signature, data)
+                        .catch(function verificationFailed() {
+                            return false;
+                        });
+                })).then(function signatureChecked(results) {
+
+                    if (results.indexOf(true) !== -1)
+                        callback(new RecordingIntegrity.Result(RecordingIntegrity.VERIFIED,
+                            'The hash of this recording matches the manifest, '
+                            + 'and the manifest is signed by a trusted key.'));
+                    else
+                        callback(new RecordingIntegrity.Result(RecordingIntegrity.MISMATCH,
+                            'The signature of the manifest is not valid for any '
+                            + 'trusted key. The manifest may have been modified.'));
+
+                });
+
+            });
+
+        };
+
+        reader.onerror = function manifestUnreadable() {
+            callback(new RecordingIntegrity.Result(RecordingIntegrity.UNVERIFIED,
+                'The manifest could not be read.'));
+        };
+
+        reader.readAsText(manifest);
+
+    };
+
+    /**
+     * The result of verifying a recording against a manifest.
+     *
+     * @constructor
+     * @param {String} status
+     *     The status of the recording: RecordingIntegrity.VERIFIED,
+     *     RecordingIntegrity.MISMATCH, or RecordingIntegrity.UNVERIFIED.
+     *
+     * @param {String} message
+     *     A human-readable message describing the result.
+     */
+    RecordingIntegrity.Result = function Result(status, message) {
+
+        /**
+         * The status of the recording: RecordingIntegrity.VERIFIED,
+         * RecordingIntegrity.MISMATCH, or RecordingIntegrity.UNVERIFIED.
+         *
+         * @type {String}
+         */
+        this.status = status;
+
+        /**
+         * A human-readable message describing the result.
+         *
+         * @type {String}
+         */
+        this.message = message;
+
+    };
+
+    return RecordingIntegrity;
+
+}]);
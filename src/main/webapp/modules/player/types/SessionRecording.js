@@ -20,22 +20,157 @@
 /**
  * Defines the SessionRecording class.
  */
-angular.module('player').factory('SessionRecording', [function defineSessionRecording() {
+angular.module('player').factory('SessionRecording', ['$injector', function defineSessionRecording($injector) {
+
+    // Required types
+    var KeyEventInterpreter = $injector.get('KeyEventInterpreter');
+    var KeyframeCache       = $injector.get('KeyframeCache');
+    var RecordingError      = $injector.get('RecordingError');
+
+    // Required services
+    var FrameIndexCache      = $injector.get('FrameIndexCache');
+    var RecordingCompression = $injector.get('RecordingCompression');
+    var RecordingEncryption  = $injector.get('RecordingEncryption');
+    var RecordingIntegrity   = $injector.get('RecordingIntegrity');
+
+    /**
+     * The maximum number of base64 characters to include within each "blob"
+     * instruction synthesized when exporting part of a recording. This
+     * matches the limit used by guacd, such that exported recordings can be
+     * read by tools which share its parser.
+     *
+     * @private
+     * @constant
+     * @type {Number}
+     */
+    var EXPORT_BLOB_LENGTH = 6048;
+
+    /**
+     * The channel mask which replaces the contents of a layer with the
+     * contents of an image (GUAC_COMP_SRC).
+     *
+     * @private
+     * @constant
+     * @type {Number}
+     */
+    var CHANNEL_MASK_SRC = 0xC;
+
+    /**
+     * Encodes the given Guacamole instruction as it would be sent over the
+     * Guacamole protocol.
+     *
+     * @private
+     * @param {String} opcode
+     *     The opcode of the instruction.
+     *
+     * @param {Array} args
+     *     The arguments of the instruction. Each argument is converted to a
+     *     string.
+     *
+     * @returns {String}
+     *     The given instruction in Guacamole protocol format.
+     */
+    var encodeInstruction = function encodeInstruction(opcode, args) {
+        return [ opcode ].concat(args).map(function encodeElement(element) {
+            element = String(element);
+            return element.length + '.' + element;
+        }).join(',') + ';';
+    };
+
+    /**
+     * Generates Guacamole instructions which recreate the given client state,
+     * as exported by Guacamole.Client.exportState(), followed by a "sync"
+     * instruction with the given timestamp. The dimensions, position,
+     * opacity, and transformation of each layer are set directly, while the
+     * contents of each layer are sent as PNG images.
+     *
+     * @private
+     * @param {Object} state
+     *     The client state to recreate.
+     *
+     * @param {Number} timestamp
+     *     The timestamp of the "sync" instruction which ends the generated
+     *     frame, in milliseconds.
+     *
+     * @returns {String}
+     *     Guacamole instructions which recreate the given state.
+     */
+    var createStateInstructions = function createStateInstructions(state, timestamp) {
+
+        var instructions = [];
+
+        // Recreate the default layer first, followed by visible layers and
+        // then off-screen buffers
+        var indices = Object.keys(state.layers).map(Number).sort(function byIndex(a, b) {
+            return (a < 0) - (b < 0) || Math.abs(a) - Math.abs(b);
+        });
+
+        // Create and size all layers before arranging them, as layers may be
+        // parented to layers with higher indices
+        indices.forEach(function createLayer(index) {
+            var layer = state.layers[index];
+            instructions.push(encodeInstruction('size', [ index, layer.width, layer.height ]));
+        });
+
+        indices.forEach(function arrangeLayer(index) {
+
+            // Only visible layers other than the default layer have a
+            // position, opacity, and transformation
+            var layer = state.layers[index];
+            if (index <= 0)
+                return;
+
+            instructions.push(encodeInstruction('move', [ index, layer.parent || 0, layer.x, layer.y, layer.z ]));
+            instructions.push(encodeInstruction('shade', [ index, layer.alpha ]));
+
+            if (layer.matrix)
+                instructions.push(encodeInstruction('distort', [ index ].concat(layer.matrix)));
+
+        });
+
+        indices.forEach(function drawLayer(index) {
+
+            var layer = state.layers[index];
+            if (!layer.url)
+                return;
+
+            // Send the contents of the layer as a PNG image, split across
+            // as many "blob" instructions as necessary
+            var data = layer.url.substring(layer.url.indexOf(',') + 1);
+            instructions.push(encodeInstruction('img', [ 0, CHANNEL_MASK_SRC, index, 'image/png', 0, 0 ]));
+
+            for (var offset = 0; offset < data.length; offset += EXPORT_BLOB_LENGTH)
+                instructions.push(encodeInstruction('blob', [ 0, data.substring(offset, offset + EXPORT_BLOB_LENGTH) ]));
+
+            instructions.push(encodeInstruction('end', [ 0 ]));
+
+        });
+
+        instructions.push(encodeInstruction('sync', [ timestamp ]));
+        return instructions.join('');
+
+    };
 
     /**
      * A recording of a Guacamole session. Given a Blob, the SessionRecording
      * automatically parses Guacamole instructions within the Blob as it plays
      * back the recording. Playback of the recording may be controlled through
-     * function calls to the SessionRecording. Parsing of the contents of the
+     * function calls to the SessionRecording. Indexing of the contents of the
      * Blob will begin immediately and automatically after this constructor is
-     * invoked.
+     * invoked, and is performed within a Web Worker (see
+     * SessionRecording.INDEXER_URL). If a URL is given instead of a Blob, the
+     * recording is first downloaded in its entirety, and indexing begins once
+     * the download has completed. Recordings compressed with gzip (or with
+     * Zstandard, if supported by the browser) are decompressed automatically
+     * before being indexed.
      *
      * @constructor
-     * @param {Blob} recordingBlob
+     * @param {Blob|String} source
      *     The Blob from which the instructions of the recording should
-     *     be read.
+     *     be read, or the URL of a recording which should be downloaded and
+     *     then read.
      */
-    var SessionRecording = function SessionRecording(recordingBlob) {
+    var SessionRecording = function SessionRecording(source) {
 
         /**
          * Reference to this SessionRecording.
@@ -45,12 +180,91 @@ angular.module('player').factory('SessionRecording', [function defineSessionReco
          */
         var recording = this;
 
+        /**
+         * The Blob from which the instructions of the recording should be
+         * read. If the recording is still being downloaded, this will be null.
+         *
+         * @private
+         * @type {Blob}
+         */
+        var recordingBlob = null;
+
+        /**
+         * The request downloading the recording from the URL given to the
+         * constructor, if any. If the recording was supplied as a Blob, or the
+         * download has completed, this will be null.
+         *
+         * @private
+         * @type {XMLHttpRequest}
+         */
+        var download = null;
+
+        /**
+         * The Web Worker indexing the recording, if any. If indexing has not
+         * yet begun, or has completed, this will be null.
+         *
+         * @private
+         * @type {Worker}
+         */
+        var indexer = null;
+
+        /**
+         * Controller which may be used to stop decompressing the recording,
+         * if the recording is compressed and is currently being decompressed.
+         * If no decompression is in progress, this will be null.
+         *
+         * @private
+         * @type {AbortController}
+         */
+        var decompression = null;
+
+        /**
+         * The encrypted recording awaiting a passphrase from the user, if
+         * any. Once decryption has succeeded, or if the recording is not
+         * encrypted, this will be null.
+         *
+         * @private
+         * @type {Blob}
+         */
+        var encryptedBlob = null;
+
+        /**
+         * Controller which may be used to stop decrypting the recording, if
+         * the recording is encrypted and is currently being decrypted. If no
+         * decryption is in progress, this will be null.
+         *
+         * @private
+         * @type {AbortController}
+         */
+        var decryption = null;
+
+        /**
+         * Controller which may be used to stop calculating the hash of the
+         * recording. If the hash is not currently being calculated, this will
+         * be null.
+         *
+         * @private
+         * @type {AbortController}
+         */
+        var hashing = null;
+
+        /**
+         * The SHA-256 hash of the recording exactly as it was provided or
+         * downloaded (prior to any decryption or decompression), as a
+         * lowercase hexadecimal string. If the hash has not yet been
+         * calculated, this will be null.
+         *
+         * @private
+         * @type {String}
+         */
+        var hash = null;
+
         /**
          * The number of bytes that this SessionRecording should attempt to
          * read from the given blob in each read operation. Larger blocks will
          * generally read the blob more quickly, but may result in excessive
          * time being spent within the parser, making the page unresponsive
-         * while the recording is loading.
+         * while frames are replayed.
          *
          * @private
          * @constant
@@ -59,40 +273,58 @@ angular.module('player').factory('SessionRecording', [function defineSessionReco
         var BLOCK_SIZE = 262144;
 
         /**
-         * The minimum number of characters which must have been read between
-         * keyframes.
+         * All frames parsed from the provided blob.
          *
          * @private
-         * @constant
-         * @type {Number}
+         * @type {SessionRecording._Frame[]}
          */
-        var KEYFRAME_CHAR_INTERVAL = 16384;
+        var frames = [];
 
         /**
-         * The minimum number of milliseconds which must elapse between keyframes.
+         * Cache of the client state of each keyframe, indexed by the index of
+         * that keyframe within the frames array.
          *
          * @private
-         * @constant
-         * @type {Number}
+         * @type {KeyframeCache}
          */
-        var KEYFRAME_TIME_INTERVAL = 5000;
+        var keyframeCache = new KeyframeCache();
 
         /**
-         * All frames parsed from the provided blob.
+         * Interpreter which converts the key events recorded within the
+         * recording into human-readable key presses and typed text.
          *
          * @private
-         * @type {SessionRecording._Frame[]}
+         * @type {KeyEventInterpreter}
          */
-        var frames = [];
+        var keyEventInterpreter = new KeyEventInterpreter();
 
         /**
-         * The timestamp of the last frame which was flagged for use as a keyframe.
-         * If no timestamp has yet been flagged, this will be 0.
+         * The indices of all frames within the portion of the recording
+         * loaded thus far which contain at least one key event.
          *
          * @private
-         * @type {Number}
+         * @type {Number[]}
+         */
+        var keyFrames = [];
+
+        /**
+         * Statistics describing the content of the recording, as gathered
+         * while the recording was indexed. If the recording has not yet been
+         * indexed in full, this will be null.
+         *
+         * @private
+         * @type {FrameIndexCache.Statistics}
+         */
+        var statistics = null;
+
+        /**
+         * Every damaged region of the recording which was skipped while the
+         * recording was indexed, in order of occurrence.
+         *
+         * @private
+         * @type {SessionRecording.DamagedRegion[]}
          */
-        var lastKeyframe = 0;
+        var damagedRegions = [];
 
         /**
          * Tunnel which feeds arbitrary instructions to the client used by this
@@ -121,6 +353,16 @@ angular.module('player').factory('SessionRecording', [function defineSessionReco
          */
         var currentFrame = -1;
 
+        /**
+         * The state of the playback client before any frame was rendered, as
+         * returned by a call to exportState(). This state is restored when
+         * seeking to a frame that precedes all keyframes having cached state.
+         *
+         * @private
+         * @type {Object}
+         */
+        var initialState = null;
+
         /**
          * The timestamp of the frame when playback began, in milliseconds. If
          * playback is not in progress, this will be null.
@@ -140,39 +382,50 @@ angular.module('player').factory('SessionRecording', [function defineSessionReco
         var startRealTimestamp = null;
 
         /**
-         * An object containing a single "aborted" property which is set to
-         * true if the in-progress seek operation should be aborted. If no seek
-         * operation is in progress, this will be null.
+         * The rate at which playback should proceed relative to real time,
+         * where 1 is normal speed, 2 is double speed, etc.
          *
          * @private
-         * @type {Object}
+         * @type {Number}
          */
-        var activeSeek = null;
+        var playbackRate = 1;
 
         /**
-         * The byte offset within the recording blob of the first character of
-         * the first instruction of the current frame. Here, "current frame"
-         * refers to the frame currently being parsed when the provided
-         * recording is initially loading. If the recording is not being
-         * loaded, this value has no meaning.
+         * The maximum number of real milliseconds which may elapse between
+         * the playback of consecutive frames, regardless of the amount of time
+         * which actually passed between those frames within the recording.
+         * If periods of inactivity should be played back in full, this will
+         * be null.
          *
          * @private
          * @type {Number}
          */
-        var frameStart = 0;
+        var inactivityThreshold = null;
 
         /**
-         * The byte offset within the recording blob of the character which
-         * follows the last character of the most recently parsed instruction
-         * of the current frame. Here, "current frame" refers to the frame
-         * currently being parsed when the provided recording is initially
-         * loading. If the recording is not being loaded, this value has no
-         * meaning.
+         * The index of the most recent frame whose preceding period of
+         * inactivity has been compressed by shifting startVideoTimestamp, such
+         * that the same period is not compressed again if that frame is
+         * rescheduled (such as when the playback rate changes). If no such
+         * period has been compressed since playback began, this will be null.
          *
          * @private
          * @type {Number}
          */
-        var frameEnd = 0;
+        var compressedFrame = null;
+
+        /**
+         * An object containing an "aborted" property which is set to true if
+         * the in-progress seek operation should be aborted. If the seek
+         * operation is still waiting for its scheduled delay to elapse, the
+         * object will also contain a "timeout" property containing the ID of
+         * the relevant timeout. If no seek operation is in progress, this will
+         * be null.
+         *
+         * @private
+         * @type {Object}
+         */
+        var activeSeek = null;
 
         /**
          * Whether the initial loading process has been aborted. If the loading
@@ -194,14 +447,48 @@ angular.module('player').factory('SessionRecording', [function defineSessionReco
          */
         var seekCallback = null;
 
+        /**
+         * The AbortController of the preview requested via getPreview()
+         * which is currently being rendered, or null if no preview is being
+         * rendered.
+         *
+         * @private
+         * @type {AbortController}
+         */
+        var previewInProgress = null;
+
+        /**
+         * The most recent preview requested via getPreview() while another
+         * preview was being rendered, or null if there is no such preview.
+         * The request is represented as an object containing the index of
+         * the frame to render ("frame"), the width of the preview ("width"),
+         * and the callback to invoke once rendered ("callback").
+         *
+         * @private
+         * @type {Object}
+         */
+        var pendingPreview = null;
+
+        /**
+         * The preview most recently rendered by getPreview(), or null if no
+         * preview has yet been rendered. The preview is represented as an
+         * object containing the index of the frame rendered ("frame"), the
+         * width of the preview ("width"), and the resulting canvas
+         * ("canvas").
+         *
+         * @private
+         * @type {Object}
+         */
+        var lastPreview = null;
+
         /**
          * Parses all Guacamole instructions within the given blob, invoking
          * the provided instruction callback for each such instruction. Once
          * the end of the blob has been reached (no instructions remain to be
-         * parsed), the provided completion callback is invoked. If a parse
-         * error prevents reading instructions from the blob, the onerror
-         * callback of the SessionRecording is invoked, and no further data is
-         * handled within the blob.
+         * parsed), the provided completion callback is invoked. If the blob
+         * cannot be read, or a parse error prevents reading instructions from
+         * the blob, the onerror callback of the SessionRecording is invoked,
+         * and no further data is handled within the blob.
          *
          * @private
          * @param {Blob} blob
@@ -215,19 +502,32 @@ angular.module('player').factory('SessionRecording', [function defineSessionReco
          * @param {Function} [completionCallback]
          *     The callback to invoke once all instructions have been read from
          *     the given blob.
+         *
+         * @param {AbortSignal} [signal]
+         *     A signal which, once aborted, stops parsing of the blob. Neither
+         *     callback is invoked after the signal has been aborted.
          */
-        var parseBlob = function parseBlob(blob, instructionCallback, completionCallback) {
+        var parseBlob = function parseBlob(blob, instructionCallback, completionCallback, signal) {
 
             // Do not read any further blocks if loading has been aborted
             if (aborted && blob === recordingBlob)
                 return;
 
+            // Do not read any blocks if the operation has been aborted
+            if (signal && signal.aborted)
+                return;
+
             // Prepare a parser to handle all instruction data within the blob,
             // automatically invoking the provided instruction callback for all
             // parsed instructions
             var parser = new Guacamole.Parser();
             parser.oninstruction = instructionCallback;
 
+            // Decode UTF-8 as a continuous stream, such that multibyte
+            // characters which span the boundary between blocks are decoded
+            // correctly
+            var decoder = new TextDecoder('utf-8');
+
             var offset = 0;
             var reader = new FileReader();
 
@@ -244,15 +544,26 @@ angular.module('player').factory('SessionRecording', [function defineSessionReco
                 if (aborted && blob === recordingBlob)
                     return;
 
+                // Do not read any further blocks if the operation has been
+                // aborted
+                if (signal && signal.aborted)
+                    return;
+
                 // Parse all instructions within the block, invoking the
-                // onerror handler if a parse error occurs
+                // onerror handler if a parse error occurs (any incomplete
+                // character at the end of the block is retained by the
+                // decoder until the next block unless this is the last block)
                 if (reader.readyState === 2 /* DONE */) {
                     try {
-                        parser.receive(reader.result);
+                        parser.receive(decoder.decode(new Uint8Array(reader.result), {
+                            stream : offset < blob.size
+                        }));
                     }
                     catch (parseError) {
                         if (recording.onerror) {
-                            recording.onerror(parseError.message);
+                            recording.onerror(new RecordingError(RecordingError.NOT_A_RECORDING,
+                                'The recording contains data which could not be '
+                                + 'understood.', parseError.message));
                         }
                         return;
                     }
@@ -269,165 +580,846 @@ angular.module('player').factory('SessionRecording', [function defineSessionReco
                 else {
                     var block = blob.slice(offset, offset + BLOCK_SIZE);
                     offset += block.size;
-                    reader.readAsText(block);
+                    reader.readAsArrayBuffer(block);
                 }
 
             };
 
             // Read blocks until the end of the given blob is reached
             reader.onload = readNextBlock;
+
+            reader.onerror = function blockUnreadable() {
+                if (recording.onerror)
+                    recording.onerror(RecordingError.fromException(reader.error,
+                        RecordingError.READ_FAILED, 'The recording could not be read.'));
+            };
+
             readNextBlock();
 
         };
 
         /**
-         * Calculates the size of the given Guacamole instruction element, in
-         * Unicode characters. The size returned includes the characters which
-         * make up the length, the "." separator between the length and the
-         * element itself, and the "," or ";" terminator which follows the
-         * element.
+         * Parses all Guacamole instructions within the given range of bytes
+         * of the recording, skipping any damaged regions within that range.
+         * The provided callbacks are invoked in the same manner as
+         * parseBlob().
          *
          * @private
-         * @param {String} value
-         *     The value of the element which has already been parsed (lacks
-         *     the initial length, "." separator, and "," or ";" terminator).
+         * @param {Number} start
+         *     The byte offset of the first byte of the range.
          *
-         * @returns {Number}
-         *     The number of Unicode characters which would make up the given
-         *     element within a Guacamole instruction.
+         * @param {Number} end
+         *     The byte offset of the byte following the last byte of the
+         *     range.
+         *
+         * @param {Function} [instructionCallback]
+         *     The callback to invoke for each Guacamole instruction read from
+         *     the given range.
+         *
+         * @param {Function} [completionCallback]
+         *     The callback to invoke once all instructions have been read from
+         *     the given range.
+         *
+         * @param {AbortSignal} [signal]
+         *     A signal which, once aborted, stops parsing of the range.
          */
-        var getElementSize = function getElementSize(value) {
+        var parseRange = function parseRange(start, end, instructionCallback, completionCallback, signal) {
+
+            for (var i = 0; i < damagedRegions.length; i++) {
+
+                var region = damagedRegions[i];
 
-            var valueLength = value.length;
+                // Ignore regions outside the range
+                if (region.end <= start || region.start >= end)
+                    continue;
 
-            // Calculate base size, assuming at least one digit, the "."
-            // separator, and the "," or ";" terminator
-            var protocolSize = valueLength + 3;
+                // Skip regions which cover the start of the range
+                if (region.start <= start) {
+                    start = region.end;
+                    continue;
+                }
+
+                // Parse up to the damaged region, continuing after that region
+                // once complete
+                parseBlob(recordingBlob.slice(start, region.start), instructionCallback, function regionSkipped() {
+                    parseRange(region.end, end, instructionCallback, completionCallback, signal);
+                }, signal);
+                return;
 
-            // Add one character for each additional digit that would occur
-            // in the element length prefix
-            while (valueLength >= 10) {
-                protocolSize++;
-                valueLength = Math.floor(valueLength / 10);
             }
 
-            return protocolSize;
+            parseBlob(recordingBlob.slice(Math.min(start, end), end), instructionCallback, completionCallback, signal);
 
         };
 
-        // Start playback client connected
-        playbackClient.connect();
-
-        // Hide cursor unless mouse position is received
-        playbackClient.getDisplay().showCursor(false);
+        /**
+         * Downloads the recording at the given URL, invoking the provided
+         * callback with the downloaded data once the download has completed.
+         * Download progress is reported through the onprogress handler of the
+         * SessionRecording. If the recording cannot be downloaded, the onerror
+         * handler of the SessionRecording is invoked with a RecordingError
+         * describing the failure, and the callback is not invoked.
+         *
+         * @private
+         * @param {String} url
+         *     The URL of the recording to download.
+         *
+         * @param {Function} callback
+         *     The callback to invoke once the download has completed. The
+         *     downloaded recording will be passed to this callback as a Blob,
+         *     along with the value of the ETag or Last-Modified header of the
+         *     response (or null if neither header is available).
+         */
+        var downloadRecording = function downloadRecording(url, callback) {
 
-        // Read instructions from provided blob, extracting each frame
-        parseBlob(recordingBlob, function handleInstruction(opcode, args) {
+            download = new XMLHttpRequest();
+            download.open('GET', url);
+            download.responseType = 'blob';
 
-            // Advance end of frame by overall length of parsed instruction
-            frameEnd += getElementSize(opcode);
-            for (var i = 0; i < args.length; i++)
-                frameEnd += getElementSize(args[i]);
+            // Report download progress as data is received
+            download.onprogress = function downloadProgressed(e) {
+                if (recording.onprogress)
+                    recording.onprogress(0, e.loaded, e.lengthComputable ? e.total : 0);
+            };
 
-            // Once a sync is received, store all instructions since the last
-            // frame as a new frame
-            if (opcode === 'sync') {
+            // Pass along the downloaded recording only if the server
+            // actually provided it
+            download.onload = function downloadCompleted() {
 
-                // Parse frame timestamp from sync instruction
-                var timestamp = parseInt(args[0]);
+                var status = download.status;
+                var statusText = download.statusText;
+                var response = download.response;
+                var validator = download.getResponseHeader('ETag')
+                        || download.getResponseHeader('Last-Modified');
+                download = null;
 
-                // Add a new frame containing the instructions read since last frame
-                var frame = new SessionRecording._Frame(timestamp, frameStart, frameEnd);
-                frames.push(frame);
-                frameStart = frameEnd;
-
-                // This frame should eventually become a keyframe if enough data
-                // has been processed and enough recording time has elapsed, or if
-                // this is the absolute first frame
-                if (frames.length === 1 || (frameEnd - frames[lastKeyframe].start >= KEYFRAME_CHAR_INTERVAL
-                        && timestamp - frames[lastKeyframe].timestamp >= KEYFRAME_TIME_INTERVAL)) {
-                    frame.keyframe = true;
-                    lastKeyframe = frames.length - 1;
+                if (status >= 200 && status < 300) {
+                    callback(response, validator);
+                    return;
                 }
 
-                // Notify that additional content is available
-                if (recording.onprogress)
-                    recording.onprogress(recording.getDuration(), frameEnd);
-
-            }
+                if (!recording.onerror)
+                    return;
 
-        }, function recordingLoaded() {
+                var details = 'HTTP ' + status + (statusText ? ' ' + statusText : '');
 
-            // Notify that recording has fully loaded
-            if (recording.onload)
-                recording.onload();
+                // Authentication and authorization failures
+                if (status === 401 || status === 403)
+                    recording.onerror(new RecordingError(RecordingError.PERMISSION_DENIED,
+                        'The server did not permit the recording to be '
+                        + 'downloaded.', details));
 
-        });
+                // All other failures
+                else
+                    recording.onerror(new RecordingError(RecordingError.READ_FAILED,
+                        'The recording could not be downloaded.', details));
 
-        /**
-         * Converts the given absolute timestamp to a timestamp which is relative
-         * to the first frame in the recording.
-         *
-         * @private
-         * @param {Number} timestamp
-         *     The timestamp to convert to a relative timestamp.
-         *
-         * @returns {Number}
-         *     The difference in milliseconds between the given timestamp and the
-         *     first frame of the recording, or zero if no frames yet exist.
-         */
-        var toRelativeTimestamp = function toRelativeTimestamp(timestamp) {
+            };
 
-            // If no frames yet exist, all timestamps are zero
-            if (frames.length === 0)
-                return 0;
+            // Network-level failures (including CORS restrictions) provide no
+            // HTTP status and no further detail
+            download.onerror = function downloadFailed() {
+                download = null;
+                if (recording.onerror)
+                    recording.onerror(new RecordingError(RecordingError.READ_FAILED,
+                        'The recording could not be downloaded. The server may '
+                        + 'be unreachable, or may not allow the recording to be '
+                        + 'retrieved from this location.'));
+            };
 
-            // Calculate timestamp relative to first frame
-            return timestamp - frames[0].timestamp;
+            download.send();
 
         };
 
+        // Start playback client connected
+        playbackClient.connect();
+
+        // Hide cursor unless mouse position is received
+        playbackClient.getDisplay().showCursor(false);
+
+        // Store blank state for future seeks back to the start of playback
+        playbackClient.exportState(function storeInitialState(state) {
+            initialState = state;
+        });
+
         /**
-         * Searches through the given region of frames for the frame having a
-         * relative timestamp closest to the timestamp given.
+         * Generates the client state of every keyframe which does not yet
+         * have associated state, such that seeking to any position within the
+         * recording requires replaying only the frames since the nearest
+         * keyframe. The recording is replayed from start to finish within a
+         * separate, off-screen Guacamole.Client, with the instructions between
+         * each keyframe read asynchronously to avoid blocking the page.
+         * Progress is reported through the onkeyframeprogress handler. This
+         * function must not be invoked until all frames have been loaded.
          *
          * @private
-         * @param {Number} minIndex
-         *     The index of the first frame in the region (the frame having the
-         *     smallest timestamp).
-         *
-         * @param {Number} maxIndex
-         *     The index of the last frame in the region (the frame having the
-         *     largest timestamp).
-         *
-         * @param {Number} timestamp
-         *     The relative timestamp to search for, where zero denotes the first
-         *     frame in the recording.
-         *
-         * @returns {Number}
-         *     The index of the frame having a relative timestamp closest to the
-         *     given value.
          */
-        var findFrame = function findFrame(minIndex, maxIndex, timestamp) {
+        var generateKeyframes = function generateKeyframes() {
 
-            // Do not search if the region contains only one element
-            if (minIndex === maxIndex)
-                return minIndex;
+            var tunnel = new SessionRecording._PlaybackTunnel();
+            var client = new Guacamole.Client(tunnel);
+            client.connect();
 
-            // Split search region into two halves
-            var midIndex = Math.floor((minIndex + maxIndex) / 2);
-            var midTimestamp = toRelativeTimestamp(frames[midIndex].timestamp);
+            // Build list of the indices of all frames flagged as keyframes
+            var keyframes = [];
+            frames.forEach(function addKeyframe(frame, frameIndex) {
+                if (frame.keyframe)
+                    keyframes.push(frameIndex);
+            });
 
-            // If timestamp is within lesser half, search again within that half
-            if (timestamp < midTimestamp && midIndex > minIndex)
-                return findFrame(minIndex, midIndex - 1, timestamp);
+            // Byte offset of the next instruction to be replayed
+            var position = 0;
 
-            // If timestamp is within greater half, search again within that half
-            if (timestamp > midTimestamp && midIndex < maxIndex)
-                return findFrame(midIndex + 1, maxIndex, timestamp);
+            // Index of the next keyframe to be generated
+            var index = 0;
 
-            // Otherwise, we lucked out and found a frame with exactly the
-            // desired timestamp
+            /**
+             * Notifies that the next keyframe has been generated and moves on
+             * to the keyframe which follows it.
+             *
+             * @private
+             * @param {SessionRecording._Frame} frame
+             *     The keyframe that has been generated.
+             */
+            var keyframeGenerated = function keyframeGenerated(frame) {
+
+                position = frame.end;
+                index++;
+
+                if (recording.onkeyframeprogress)
+                    recording.onkeyframeprogress(index, keyframes.length);
+
+                generateNext();
+
+            };
+
+            /**
+             * Replays all instructions from the current position up to and
+             * including the given keyframe, storing the resulting client
+             * state within the keyframe cache.
+             *
+             * @private
+             * @param {SessionRecording._Frame} frame
+             *     The keyframe to generate.
+             *
+             * @param {Number} frameIndex
+             *     The index of the keyframe within the frames array.
+             */
+            var replayKeyframe = function replayKeyframe(frame, frameIndex) {
+                parseRange(position, frame.end, tunnel.receiveInstruction, function replayCompleted() {
+                    client.exportState(function storeClientState(state) {
+                        if (!keyframeCache.contains(frameIndex))
+                            keyframeCache.put(frameIndex, state);
+                        keyframeGenerated(frame);
+                    });
+                });
+            };
+
+            /**
+             * Replays all instructions up to and including the next keyframe,
+             * storing the resulting client state within the keyframe cache. If
+             * the keyframe already has cached state, that state is imported
+             * rather than replaying any instructions.
+             *
+             * @private
+             */
+            var generateNext = function generateNext() {
+
+                // Stop generating keyframes if the recording is no longer
+                // needed or all keyframes have been generated
+                if (aborted || index >= keyframes.length) {
+                    client.disconnect();
+                    return;
+                }
+
+                var frameIndex = keyframes[index];
+                var frame = frames[frameIndex];
+
+                // Reuse existing state if the keyframe has already been
+                // generated (such as during playback)
+                if (keyframeCache.contains(frameIndex)) {
+                    keyframeCache.get(frameIndex, function stateRetrieved(state) {
+
+                        // Fall back to replaying the keyframe if its state
+                        // has since been lost
+                        if (!state) {
+                            replayKeyframe(frame, frameIndex);
+                            return;
+                        }
+
+                        client.importState(state, function stateImported() {
+                            keyframeGenerated(frame);
+                        });
+
+                    });
+                    return;
+                }
+
+                // Otherwise, replay everything up to the keyframe and store
+                // the resulting state
+                replayKeyframe(frame, frameIndex);
+
+            };
+
+            generateNext();
+
+        };
+
+        /**
+         * Notifies that the session recording has been fully loaded and begins
+         * generating keyframes in the background. If the onload handler has
+         * not been defined, no notification is sent.
+         *
+         * @private
+         */
+        var notifyLoaded = function notifyLoaded() {
+
+            if (recording.onload)
+                recording.onload();
+
+            generateKeyframes();
+
+        };
+
+        /**
+         * Returns the frame index of the portion of the recording loaded thus
+         * far, in a form suitable for storage with FrameIndexCache.
+         *
+         * @private
+         * @returns {FrameIndexCache.FrameIndex}
+         *     The frame index of the recording.
+         */
+        var createIndex = function createIndex() {
+
+            var index = new FrameIndexCache.FrameIndex();
+
+            frames.forEach(function addFrame(frame, frameIndex) {
+
+                index.timestamps.push(frame.timestamp);
+                index.starts.push(frame.start);
+                index.ends.push(frame.end);
+                index.drawing.push(frame.drawing);
+                index.input.push(frame.input);
+                index.resizes.push(frame.resizes);
+
+                if (frame.keyframe)
+                    index.keyframes.push(frameIndex);
+
+            });
+
+            index.keyFrames = keyFrames;
+            index.statistics = statistics;
+
+            index.damage = damagedRegions.map(function toArray(region) {
+                return [ region.start, region.end, region.timestamp ];
+            });
+
+            return index;
+
+        };
+
+        /**
+         * Adds the frames and key events within the given frame index to the
+         * frames and key events of the recording. The given index may be
+         * either a complete index previously stored with FrameIndexCache or
+         * the portion of an index most recently produced by the indexer.
+         *
+         * @private
+         * @param {FrameIndexCache.FrameIndex} index
+         *     The frame index to append.
+         */
+        var appendIndex = function appendIndex(index) {
+
+            for (var i = 0; i < index.timestamps.length; i++) {
+                var frame = new SessionRecording._Frame(index.timestamps[i], index.starts[i], index.ends[i]);
+                frame.drawing = index.drawing[i];
+                frame.input = index.input[i];
+                frame.resizes = index.resizes[i];
+                frames.push(frame);
+            }
+
+            index.keyframes.forEach(function flagKeyframe(frameIndex) {
+                frames[frameIndex].keyframe = true;
+            });
+
+            index.keyFrames.forEach(function addKeyFrame(frameIndex) {
+                keyFrames.push(frameIndex);
+            });
+
+            // Key events are absent from stored indexes and must instead be
+            // read again with readKeyEvents()
+            if (index.keys) {
+                index.keys.forEach(function interpretKey(key) {
+                    keyEventInterpreter.handleKeyEvent(key[0], key[1], key[2]);
+                });
+            }
+
+            index.damage.forEach(function addDamagedRegion(region) {
+                damagedRegions.push(new SessionRecording.DamagedRegion(region[0], region[1], region[2]));
+            });
+
+            if (index.statistics)
+                statistics = index.statistics;
+
+        };
+
+        /**
+         * Reads all key events within the frames listed in keyFrames from the
+         * recording itself, as is necessary when the frame index of the
+         * recording was retrieved from FrameIndexCache (which does not store
+         * key events). Consecutive frames are read together. Key events
+         * lacking a timestamp of their own are given the timestamp of the
+         * preceding frame, in the same manner as the indexer.
+         *
+         * @private
+         * @param {Function} callback
+         *     The callback to invoke once all key events have been read.
+         */
+        var readKeyEvents = function readKeyEvents(callback) {
+
+            var run = 0;
+
+            var readNextRun = function readNextRun() {
+
+                if (aborted)
+                    return;
+
+                if (run >= keyFrames.length) {
+                    callback();
+                    return;
+                }
+
+                // Find the end of the current run of consecutive frames
+                var first = keyFrames[run];
+                var last = first;
+                while (run + 1 < keyFrames.length && keyFrames[run + 1] === last + 1)
+                    last = keyFrames[++run];
+
+                run++;
+
+                // The frame containing each instruction advances with each
+                // "sync" instruction
+                var frameIndex = first;
+
+                parseRange(frames[first].start, frames[last].end, function instructionRead(opcode, args) {
+
+                    if (opcode === 'sync')
+                        frameIndex++;
+
+                    else if (opcode === 'key') {
+
+                        var keyTimestamp = args.length > 2 ? parseInt(args[2])
+                                : frameIndex > 0 ? frames[frameIndex - 1].timestamp
+                                : null;
+
+                        var relativeTimestamp = frameIndex > 0 ? toRelativeTimestamp(keyTimestamp) : 0;
+                        keyEventInterpreter.handleKeyEvent(parseInt(args[0]), args[1] === '1', Math.max(relativeTimestamp, 0));
+
+                    }
+
+                }, readNextRun);
+
+            };
+
+            readNextRun();
+
+        };
+
+        /**
+         * Returns an error describing why the recording within recordingBlob,
+         * which has been indexed in full but contains no frames, cannot be
+         * played.
+         *
+         * @private
+         * @param {FrameIndexCache.Statistics} indexStatistics
+         *     The statistics gathered while indexing the recording.
+         *
+         * @returns {RecordingError}
+         *     An error describing why the recording cannot be played.
+         */
+        var getUnplayableError = function getUnplayableError(indexStatistics) {
+
+            if (!recordingBlob.size)
+                return new RecordingError(RecordingError.TRUNCATED,
+                    'The recording is empty.');
+
+            // A recording which begins with valid instructions but contains
+            // no complete frames was cut off before its first frame
+            if (Object.keys(indexStatistics.instructions).length)
+                return new RecordingError(RecordingError.TRUNCATED,
+                    'The recording ends before its first frame and contains '
+                    + 'nothing which can be played.');
+
+            return new RecordingError(RecordingError.NOT_A_RECORDING,
+                'The file is not a Guacamole session recording.');
+
+        };
+
+        /**
+         * Divides the recording within recordingBlob into frames using a Web
+         * Worker, such that the page remains responsive while large
+         * recordings are indexed. Frames are added as they are indexed, and
+         * progress is reported through the onprogress handler. If the
+         * recording cannot be indexed, the onerror handler is invoked and
+         * the callback is not invoked.
+         *
+         * @private
+         * @param {Function} callback
+         *     The callback to invoke once the entire recording has been
+         *     indexed.
+         */
+        var indexRecording = function indexRecording(callback) {
+
+            indexer = new Worker(SessionRecording.INDEXER_URL);
+
+            /**
+             * Stops the indexer, invoking the onerror handler with the given
+             * error.
+             *
+             * @private
+             * @param {RecordingError} error
+             *     An error describing the failure.
+             */
+            var indexingFailed = function indexingFailed(error) {
+
+                indexer.terminate();
+                indexer = null;
+
+                if (recording.onerror)
+                    recording.onerror(error);
+
+            };
+
+            indexer.onmessage = function indexerMessageReceived(e) {
+
+                var message = e.data;
+
+                // Add newly-indexed frames, notifying that additional
+                // content is available
+                if (message.type === 'progress') {
+                    appendIndex(message.index);
+                    if (recording.onprogress)
+                        recording.onprogress(recording.getDuration(), message.parsed, message.total);
+                }
+
+                // Indexing is finished once the entire recording is indexed
+                else if (message.type === 'complete') {
+
+                    // Fail entirely if nothing can be played
+                    if (!frames.length) {
+                        indexingFailed(getUnplayableError(message.statistics));
+                        return;
+                    }
+
+                    indexer.terminate();
+                    indexer = null;
+                    statistics = message.statistics;
+                    callback();
+
+                }
+
+                else if (message.type === 'error')
+                    indexingFailed(RecordingError.fromException(message,
+                        RecordingError.READ_FAILED, 'The recording could not be read.'));
+
+            };
+
+            // Failures within the worker itself (such as failure to load the
+            // worker script, or running out of memory) provide only a generic
+            // message
+            indexer.onerror = function indexerFailed(e) {
+                e.preventDefault();
+                indexingFailed(RecordingError.fromException(e,
+                    RecordingError.READ_FAILED, 'The recording could not be read.'));
+            };
+
+            indexer.postMessage({ blob : recordingBlob });
+
+        };
+
+        /**
+         * Returns a key which uniquely identifies the content of the given
+         * recording, for use with FrameIndexCache. Files are identified by
+         * their name, size, and modification time, while downloaded recordings
+         * are identified by their URL, size, and the validator provided by the
+         * server.
+         *
+         * @private
+         * @param {Blob} blob
+         *     The recording to identify.
+         *
+         * @param {String} [url]
+         *     The URL from which the recording was downloaded, if any.
+         *
+         * @param {String} [validator]
+         *     The ETag or Last-Modified header provided by the server when the
+         *     recording was downloaded, if any.
+         *
+         * @returns {String}
+         *     A key uniquely identifying the content of the recording, or null
+         *     if the recording cannot be reliably identified.
+         */
+        var getIndexKey = function getIndexKey(blob, url, validator) {
+
+            if (url)
+                return validator ? 'url:' + url + ':' + blob.size + ':' + validator : null;
+
+            if (blob.name && blob.lastModified)
+                return 'file:' + blob.name + ':' + blob.size + ':' + blob.lastModified;
+
+            return null;
+
+        };
+
+        /**
+         * Loads the frames of the recording within recordingBlob, reusing the
+         * frame index stored for that recording from when it was last opened
+         * if possible. If no such index exists, the recording is parsed in
+         * full and the resulting index is stored for next time.
+         *
+         * @private
+         * @param {String} key
+         *     The key uniquely identifying the content of the recording, as
+         *     returned by getIndexKey(), or null if the frame index of the
+         *     recording should not be stored.
+         */
+        var loadRecording = function loadRecording(key) {
+
+            // Index without storing the index if the recording cannot be
+            // reliably identified
+            if (!key) {
+                indexRecording(notifyLoaded);
+                return;
+            }
+
+            FrameIndexCache.load(key, function indexLoaded(index) {
+
+                if (aborted)
+                    return;
+
+                // Reuse the stored index if it fits the recording
+                if (index && (!index.ends.length || index.ends[index.ends.length - 1] <= recordingBlob.size)) {
+
+                    appendIndex(index);
+
+                    if (recording.onprogress)
+                        recording.onprogress(recording.getDuration(), recordingBlob.size, recordingBlob.size);
+
+                    readKeyEvents(notifyLoaded);
+                    return;
+
+                }
+
+                // Otherwise, index the recording in full and store the
+                // resulting index
+                indexRecording(function recordingIndexed() {
+                    FrameIndexCache.save(key, createIndex());
+                    notifyLoaded();
+                });
+
+            });
+
+        };
+
+        /**
+         * Loads the frames of the given decrypted recording, first
+         * decompressing the recording if it is compressed. Frame indexing and
+         * seeking always operate on the decompressed content of the recording.
+         *
+         * @private
+         * @param {Blob} blob
+         *     The recording to load, which may be compressed.
+         *
+         * @param {String} key
+         *     The key uniquely identifying the content of the recording, as
+         *     returned by getIndexKey(), or null if the frame index of the
+         *     recording should not be stored.
+         */
+        var decompressRecording = function decompressRecording(blob, key) {
+            RecordingCompression.getFormat(blob, function formatDetected(format) {
+
+                if (aborted)
+                    return;
+
+                // Uncompressed recordings can be loaded directly
+                if (!format) {
+                    recordingBlob = blob;
+                    loadRecording(key);
+                    return;
+                }
+
+                // Otherwise, decompress before loading
+                decompression = RecordingCompression.decompress(blob, format,
+                    function decompressionProgressed(current, total) {
+                        if (recording.onprogress)
+                            recording.onprogress(0, current, total);
+                    },
+                    function recordingDecompressed(decompressed) {
+                        decompression = null;
+                        recordingBlob = decompressed;
+                        loadRecording(key);
+                    },
+                    function decompressionFailed(error) {
+                        decompression = null;
+                        if (recording.onerror)
+                            recording.onerror(error);
+                    });
+
+            });
+        };
+
+        /**
+         * Calculates the SHA-256 hash of the given recording in the
+         * background, invoking the onhash handler once the hash is known.
+         * Failure to calculate the hash does not affect playback.
+         *
+         * @private
+         * @param {Blob} blob
+         *     The recording to hash, exactly as it was provided or downloaded.
+         */
+        var hashRecording = function hashRecording(blob) {
+            hashing = RecordingIntegrity.computeHash(blob, function recordingHashed(result) {
+
+                hashing = null;
+                hash = result;
+
+                if (recording.onhash)
+                    recording.onhash(hash);
+
+            }, function hashingFailed() {
+                hashing = null;
+            });
+        };
+
+        /**
+         * Loads the frames of the given recording. If the recording is
+         * encrypted, the passphrase for the recording is first requested via
+         * the onpassphraserequired handler, and loading continues once that
+         * passphrase is provided through a call to providePassphrase().
+         *
+         * @private
+         * @param {Blob} blob
+         *     The recording to load, which may be encrypted and/or compressed.
+         *
+         * @param {String} key
+         *     The key uniquely identifying the content of the recording, as
+         *     returned by getIndexKey(), or null if the frame index of the
+         *     recording should not be stored. This key is ignored if the
+         *     recording is encrypted.
+         */
+        var openRecording = function openRecording(blob, key) {
+            RecordingEncryption.isEncrypted(blob, function encryptionDetected(encrypted, supported) {
+
+                if (aborted)
+                    return;
+
+                if (!encrypted) {
+                    decompressRecording(blob, key);
+                    return;
+                }
+
+                if (!supported) {
+                    if (recording.onerror)
+                        recording.onerror(new RecordingError(RecordingError.UNSUPPORTED_VERSION,
+                            'This recording is encrypted using a version of the '
+                            + 'encrypted recording format which is not supported '
+                            + 'by this player.'));
+                    return;
+                }
+
+                // Never write any part of an encrypted recording to disk
+                keyframeCache.forbidStorage();
+                encryptedBlob = blob;
+
+                if (recording.onpassphraserequired)
+                    recording.onpassphraserequired(false);
+                else if (recording.onerror)
+                    recording.onerror(new RecordingError(RecordingError.READ_FAILED,
+                        'This recording is encrypted and cannot be played '
+                        + 'without a passphrase.'));
+
+            });
+        };
+
+        // Read instructions from provided blob, extracting each frame
+        if (source instanceof Blob) {
+            hashRecording(source);
+            openRecording(source, getIndexKey(source));
+        }
+
+        // If a URL was provided instead of a Blob, download the recording
+        // before extracting frames
+        else {
+            downloadRecording(source, function recordingDownloaded(blob, validator) {
+                hashRecording(blob);
+                openRecording(blob, getIndexKey(blob, source, validator));
+            });
+        }
+
+        /**
+         * Converts the given absolute timestamp to a timestamp which is relative
+         * to the first frame in the recording.
+         *
+         * @private
+         * @param {Number} timestamp
+         *     The timestamp to convert to a relative timestamp.
+         *
+         * @returns {Number}
+         *     The difference in milliseconds between the given timestamp and the
+         *     first frame of the recording, or zero if no frames yet exist.
+         */
+        var toRelativeTimestamp = function toRelativeTimestamp(timestamp) {
+
+            // If no frames yet exist, all timestamps are zero
+            if (frames.length === 0)
+                return 0;
+
+            // Calculate timestamp relative to first frame
+            return timestamp - frames[0].timestamp;
+
+        };
+
+        /**
+         * Searches through the given region of frames for the frame having a
+         * relative timestamp closest to the timestamp given.
+         *
+         * @private
+         * @param {Number} minIndex
+         *     The index of the first frame in the region (the frame having the
+         *     smallest timestamp).
+         *
+         * @param {Number} maxIndex
+         *     The index of the last frame in the region (the frame having the
+         *     largest timestamp).
+         *
+         * @param {Number} timestamp
+         *     The relative timestamp to search for, where zero denotes the first
+         *     frame in the recording.
+         *
+         * @returns {Number}
+         *     The index of the frame having a relative timestamp closest to the
+         *     given value.
+         */
+        var findFrame = function findFrame(minIndex, maxIndex, timestamp) {
+
+            // Do not search if the region contains only one element
+            if (minIndex === maxIndex)
+                return minIndex;
+
+            // Split search region into two halves
+            var midIndex = Math.floor((minIndex + maxIndex) / 2);
+            var midTimestamp = toRelativeTimestamp(frames[midIndex].timestamp);
+
+            // If timestamp is within lesser half, search again within that half
+            if (timestamp < midTimestamp && midIndex > minIndex)
+                return findFrame(minIndex, midIndex - 1, timestamp);
+
+            // If timestamp is within greater half, search again within that half
+            if (timestamp > midTimestamp && midIndex < maxIndex)
+                return findFrame(midIndex + 1, maxIndex, timestamp);
+
+            // Otherwise, we lucked out and found a frame with exactly the
+            // desired timestamp
             return midIndex;
 
         };
@@ -454,9 +1446,9 @@ angular.module('player').factory('SessionRecording', [function defineSessionReco
             }, function replayCompleted() {
 
                 // Store client state if frame is flagged as a keyframe
-                if (frame.keyframe && !frame.clientState) {
+                if (frame.keyframe && !keyframeCache.contains(index)) {
                     playbackClient.exportState(function storeClientState(state) {
-                        frame.clientState = state;
+                        keyframeCache.put(index, state);
                     });
                 }
 
@@ -470,6 +1462,191 @@ angular.module('player').factory('SessionRecording', [function defineSessionReco
 
         };
 
+        /**
+         * Replays all instructions up to and including the given frame within
+         * a new, off-screen Guacamole.Client, starting from the nearest
+         * cached keyframe, without affecting playback. The client is passed
+         * to the given callback once the frame has been replayed, and must be
+         * disconnected by that callback once no longer needed.
+         *
+         * @private
+         * @param {Number} index
+         *     The index of the frame within the frames array which should be
+         *     replayed.
+         *
+         * @param {Function} callback
+         *     The callback to invoke with the Guacamole.Client once the frame
+         *     has been replayed.
+         *
+         * @param {AbortSignal} [signal]
+         *     A signal which, once aborted, stops replay. The client is
+         *     disconnected and the callback is not invoked if replay is
+         *     aborted.
+         */
+        var replayToFrame = function replayToFrame(index, callback, signal) {
+
+            var tunnel = new SessionRecording._PlaybackTunnel();
+            var client = new Guacamole.Client(tunnel);
+            client.connect();
+
+            // Replay all frames following the given keyframe (or the start
+            // of the recording, if there is no such keyframe), up to and
+            // including the requested frame
+            var replayFrom = function replayFrom(keyframeIndex) {
+
+                var position = keyframeIndex >= 0 ? frames[keyframeIndex].end : 0;
+
+                parseRange(position, frames[index].end, tunnel.receiveInstruction, function replayCompleted() {
+                    callback(client);
+                }, signal);
+
+            };
+
+            // Back up to the nearest keyframe whose state is cached
+            var restoreState = function restoreState(searchIndex) {
+
+                for (var keyframeIndex = searchIndex; keyframeIndex >= 0; keyframeIndex--) {
+                    if (frames[keyframeIndex].keyframe && keyframeCache.contains(keyframeIndex)) {
+                        restoreKeyframe(keyframeIndex);
+                        return;
+                    }
+                }
+
+                replayFrom(-1);
+
+            };
+
+            // Import the cached state of the given keyframe, continuing to
+            // back up if that state has since been lost
+            var restoreKeyframe = function restoreKeyframe(keyframeIndex) {
+                keyframeCache.get(keyframeIndex, function stateRetrieved(state) {
+
+                    if (signal && signal.aborted)
+                        return;
+
+                    if (!state) {
+                        restoreState(keyframeIndex - 1);
+                        return;
+                    }
+
+                    client.importState(state, function stateImported() {
+                        replayFrom(keyframeIndex);
+                    });
+
+                });
+            };
+
+            // Release the client as soon as replay is aborted
+            if (signal) {
+                signal.addEventListener('abort', function replayAborted() {
+                    client.disconnect();
+                });
+            }
+
+            restoreState(index);
+
+        };
+
+        /**
+         * Determines the client state of the given frame (the state after all
+         * instructions up to and including that frame have been replayed)
+         * without affecting playback. The state is generated within a
+         * separate, off-screen Guacamole.Client, starting from the nearest
+         * cached keyframe.
+         *
+         * @private
+         * @param {Number} index
+         *     The index of the frame within the frames array whose state
+         *     should be determined.
+         *
+         * @param {Function} callback
+         *     The callback to invoke with the state of the frame, in the
+         *     format returned by Guacamole.Client.exportState().
+         *
+         * @param {AbortSignal} [signal]
+         *     A signal which, once aborted, stops replay of the frame. The
+         *     callback is not invoked if replay is aborted.
+         */
+        var getFrameState = function getFrameState(index, callback, signal) {
+            replayToFrame(index, function frameReplayed(client) {
+                client.exportState(function stateExported(state) {
+                    client.disconnect();
+                    if (!signal || !signal.aborted)
+                        callback(state);
+                });
+            }, signal);
+        };
+
+        /**
+         * Renders a scaled-down image of the display as of the frame given
+         * within the provided request, invoking the callback of that request
+         * with the result. Once rendered, any preview requested in the
+         * meantime is rendered in turn.
+         *
+         * @private
+         * @param {Object} request
+         *     The preview to render, as an object containing the index of the
+         *     frame to render ("frame"), the width of the preview ("width"),
+         *     and the callback to invoke once rendered ("callback").
+         */
+        var renderPreview = function renderPreview(request) {
+
+            // Reuse the most recent preview if the same frame is requested
+            // again (such as while hovering over a period of inactivity)
+            if (lastPreview && lastPreview.frame === request.frame && lastPreview.width === request.width) {
+                request.callback(lastPreview.canvas);
+                return;
+            }
+
+            var controller = new AbortController();
+            previewInProgress = controller;
+
+            replayToFrame(request.frame, function frameReplayed(client) {
+
+                // Wait for any pending drawing operations (such as the
+                // decoding of images) before capturing the display
+                var display = client.getDisplay();
+                display.flush(function displayFlushed() {
+
+                    // Ignore the preview if rendering has been aborted (the
+                    // client has already been disconnected)
+                    if (controller.signal.aborted)
+                        return;
+
+                    var source = display.flatten();
+                    client.disconnect();
+
+                    // Scale the display down to the requested width,
+                    // preserving its aspect ratio
+                    var canvas = null;
+                    if (source.width && source.height) {
+                        canvas = document.createElement('canvas');
+                        canvas.width = request.width;
+                        canvas.height = Math.max(Math.round(source.height * request.width / source.width), 1);
+                        canvas.getContext('2d').drawImage(source, 0, 0, canvas.width, canvas.height);
+                    }
+
+                    lastPreview = {
+                        frame  : request.frame,
+                        width  : request.width,
+                        canvas : canvas
+                    };
+
+                    previewInProgress = null;
+                    request.callback(canvas);
+
+                    // Move on to the most recently requested preview, if any
+                    var next = pendingPreview;
+                    pendingPreview = null;
+                    if (next)
+                        renderPreview(next);
+
+                });
+
+            }, controller.signal);
+
+        };
+
         /**
          * Moves the playback position to the given frame, resetting the state of
          * the playback client and replaying frames as necessary. The seek
@@ -501,55 +1678,94 @@ angular.module('player').factory('SessionRecording', [function defineSessionReco
 
             var startIndex;
 
-            // Back up until startIndex represents current state
-            for (startIndex = index; startIndex >= 0; startIndex--) {
+            // Replay any applicable incremental frames
+            var continueReplay = function continueReplay() {
+
+                // Notify of changes in position
+                if (recording.onseek && currentFrame > startIndex) {
+                    recording.onseek(toRelativeTimestamp(frames[currentFrame].timestamp),
+                        currentFrame - startIndex, index - startIndex);
+                }
+
+                // Cancel seek if aborted
+                if (thisSeek.aborted)
+                    return;
 
-                var frame = frames[startIndex];
+                // If frames remain, replay the next frame
+                if (!thisSeek.aborted && currentFrame < index)
+                    replayFrame(currentFrame + 1, continueReplay);
+
+                // Otherwise, the seek operation is completed
+                else
+                    callback();
 
-                // If we've reached the current frame, startIndex represents
-                // current state by definition
-                if (startIndex === currentFrame)
-                    break;
+            };
 
-                // If frame has associated absolute state, make that frame the
-                // current state
-                if (frame.clientState) {
-                    playbackClient.importState(frame.clientState);
-                    currentFrame = index;
-                    break;
+            // Continue replay after requested delay has elapsed, or
+            // immediately if no delay was requested
+            var beginReplay = function beginReplay() {
+                if (delay) {
+                    thisSeek.timeout = window.setTimeout(function delayElapsed() {
+                        thisSeek.timeout = null;
+                        continueReplay();
+                    }, delay);
                 }
+                else
+                    continueReplay();
+            };
+
+            // Back up until startIndex represents current state, restoring
+            // cached keyframe state where available
+            var restoreState = function restoreState(searchIndex) {
+
+                for (startIndex = searchIndex; startIndex >= 0; startIndex--) {
+
+                    // If we've reached the current frame, startIndex
+                    // represents current state by definition
+                    if (startIndex === currentFrame)
+                        break;
+
+                    // If frame has associated absolute state, make that frame
+                    // the current state
+                    if (frames[startIndex].keyframe && keyframeCache.contains(startIndex)) {
+
+                        var keyframeIndex = startIndex;
+                        keyframeCache.get(keyframeIndex, function stateRetrieved(state) {
+
+                            if (thisSeek.aborted)
+                                return;
+
+                            // Continue backing up if the state has since
+                            // been lost
+                            if (!state) {
+                                restoreState(keyframeIndex - 1);
+                                return;
+                            }
+
+                            playbackClient.importState(state);
+                            currentFrame = keyframeIndex;
+                            beginReplay();
+
+                        });
 
-            }
+                        return;
 
-            // Replay any applicable incremental frames
-            var continueReplay = function continueReplay() {
+                    }
 
-                // Notify of changes in position
-                if (recording.onseek && currentFrame > startIndex) {
-                    recording.onseek(toRelativeTimestamp(frames[currentFrame].timestamp),
-                        currentFrame - startIndex, index - startIndex);
                 }
 
-                // Cancel seek if aborted
-                if (thisSeek.aborted)
-                    return;
-
-                // If frames remain, replay the next frame
-                if (!thisSeek.aborted && currentFrame < index)
-                    replayFrame(currentFrame + 1, continueReplay);
+                // If no cached state precedes the requested frame, start
+                // over from the beginning of the recording
+                if (startIndex < 0 && currentFrame !== -1) {
+                    playbackClient.importState(initialState);
+                    currentFrame = -1;
+                }
 
-                // Otherwise, the seek operation is completed
-                else
-                    callback();
+                beginReplay();
 
             };
 
-            // Continue replay after requested delay has elapsed, or
-            // immediately if no delay was requested
-            if (delay)
-                window.setTimeout(continueReplay, delay);
-            else
-                continueReplay();
+            restoreState(index);
 
         };
 
@@ -561,11 +1777,45 @@ angular.module('player').factory('SessionRecording', [function defineSessionReco
          */
         var abortSeek = function abortSeek() {
             if (activeSeek) {
+                window.clearTimeout(activeSeek.timeout);
                 activeSeek.aborted = true;
                 activeSeek = null;
             }
         };
 
+        /**
+         * Pauses playback and moves directly to the given frame, replaying
+         * frames from the nearest keyframe as necessary. Any seek operation in
+         * progress is first cancelled. Unlike seek(), playback remains paused
+         * once the given frame has been reached.
+         *
+         * @private
+         * @param {Number} index
+         *     The index of the frame within the frames array which should
+         *     become the new playback position.
+         *
+         * @param {Function} [callback]
+         *     The callback to invoke once the given frame has been reached.
+         */
+        var stepToFrame = function stepToFrame(index, callback) {
+
+            recording.cancel();
+            recording.pause();
+
+            seekCallback = function stepCompleted() {
+
+                // Step is no longer in progress
+                seekCallback = null;
+
+                if (callback)
+                    callback();
+
+            };
+
+            seekToFrame(index, seekCallback);
+
+        };
+
         /**
          * Advances playback to the next frame in the frames array and schedules
          * playback of the frame following that frame based on their associated
@@ -581,9 +1831,20 @@ angular.module('player').factory('SessionRecording', [function defineSessionReco
                 // Pull the upcoming frame
                 var next = frames[currentFrame + 1];
 
+                // If skipping inactivity, compress any gap which would
+                // otherwise exceed the inactivity threshold by shifting the
+                // playback timeline forward by the excess
+                if (inactivityThreshold !== null && currentFrame >= 0 && compressedFrame !== currentFrame + 1) {
+                    var gap = next.timestamp - frames[currentFrame].timestamp;
+                    if (gap / playbackRate > inactivityThreshold) {
+                        startVideoTimestamp += gap - inactivityThreshold * playbackRate;
+                        compressedFrame = currentFrame + 1;
+                    }
+                }
+
                 // Calculate the real timestamp corresponding to when the next
-                // frame begins
-                var nextRealTimestamp = next.timestamp - startVideoTimestamp + startRealTimestamp;
+                // frame begins, taking the playback rate into account
+                var nextRealTimestamp = (next.timestamp - startVideoTimestamp) / playbackRate + startRealTimestamp;
 
                 // Calculate the relative delay between the current time and
                 // the next frame start
@@ -610,16 +1871,56 @@ angular.module('player').factory('SessionRecording', [function defineSessionReco
          */
         this.onload = null;
 
+        /**
+         * Fired as keyframes are generated in the background after loading of
+         * this recording has completed. Seeking becomes progressively faster
+         * as keyframes are generated. All keyframes have been generated once
+         * the number of generated keyframes matches the total.
+         *
+         * @event
+         * @param {Number} current
+         *     The number of keyframes generated thus far.
+         *
+         * @param {Number} total
+         *     The total number of keyframes within the recording.
+         */
+        this.onkeyframeprogress = null;
+
         /**
          * Fired when an error occurs which prevents the recording from being
          * played back.
          *
          * @event
-         * @param {String} message
-         *     A human-readable message describing the error that occurred.
+         * @param {RecordingError} error
+         *     An error describing what occurred.
          */
         this.onerror = null;
 
+        /**
+         * Fired when the recording is encrypted and a passphrase is needed to
+         * decrypt it. Loading of the recording will not continue until the
+         * passphrase is provided through a call to providePassphrase(), or
+         * until loading is aborted with a call to abort().
+         *
+         * @event
+         * @param {Boolean} incorrect
+         *     Whether a passphrase was previously provided and was incorrect.
+         */
+        this.onpassphraserequired = null;
+
+        /**
+         * Fired when the SHA-256 hash of the recording, as provided or
+         * downloaded (prior to any decryption or decompression), has been
+         * calculated. The hash is calculated in parallel with loading, and
+         * thus may be available before or after the recording has loaded.
+         *
+         * @event
+         * @param {String} hash
+         *     The SHA-256 hash of the recording, as a lowercase hexadecimal
+         *     string.
+         */
+        this.onhash = null;
+
         /**
          * Fired when further loading of this recording has been explicitly
          * aborted through a call to abort().
@@ -638,6 +1939,11 @@ angular.module('player').factory('SessionRecording', [function defineSessionReco
          *
          * @param {Number} parsedSize
          *     The number of bytes that have been loaded/parsed.
+         *
+         * @param {Number} totalSize
+         *     The total size of the recording, in bytes. If the recording is
+         *     being downloaded and the server did not provide its size, this
+         *     will be 0.
          */
         this.onprogress = null;
 
@@ -678,75 +1984,542 @@ angular.module('player').factory('SessionRecording', [function defineSessionReco
         this.onseek = null;
 
         /**
-         * Aborts the loading process, stopping further processing of the
-         * provided blob.
+         * Aborts the loading process, stopping further processing of the
+         * provided blob.
+         */
+        this.abort = function abort() {
+            if (!aborted) {
+
+                aborted = true;
+
+                // Release all cached keyframe state
+                keyframeCache.clear();
+
+                // Stop downloading the recording, if still in progress
+                if (download) {
+                    download.abort();
+                    download = null;
+                }
+
+                // Stop hashing the recording, if still in progress
+                if (hashing) {
+                    hashing.abort();
+                    hashing = null;
+                }
+
+                // Stop rendering previews, if still in progress
+                if (previewInProgress) {
+                    previewInProgress.abort();
+                    previewInProgress = null;
+                }
+                pendingPreview = null;
+
+                // Stop decrypting the recording, if still in progress
+                if (decryption) {
+                    decryption.abort();
+                    decryption = null;
+                }
+
+                // Stop decompressing the recording, if still in progress
+                if (decompression) {
+                    decompression.abort();
+                    decompression = null;
+                }
+
+                // Stop indexing the recording, if still in progress
+                if (indexer) {
+                    indexer.terminate();
+                    indexer = null;
+                }
+
+                if (recording.onabort)
+                    recording.onabort();
+
+            }
+        };
+
+        /**
+         * Provides the passphrase needed to decrypt this recording, as
+         * requested through the onpassphraserequired handler. The recording is
+         * decrypted in memory and loading continues automatically. If the
+         * passphrase is incorrect, the onpassphraserequired handler is invoked
+         * again. If the recording is not awaiting a passphrase, this function
+         * has no effect.
+         *
+         * @param {String} passphrase
+         *     The passphrase of the recording.
+         */
+        this.providePassphrase = function providePassphrase(passphrase) {
+
+            if (!encryptedBlob || decryption || aborted)
+                return;
+
+            decryption = RecordingEncryption.decrypt(encryptedBlob, passphrase,
+                function decryptionProgressed(current, total) {
+                    if (recording.onprogress)
+                        recording.onprogress(0, current, total);
+                },
+                function recordingDecrypted(decrypted) {
+                    decryption = null;
+                    encryptedBlob = null;
+                    decompressRecording(decrypted, null);
+                },
+                function decryptionFailed(error, incorrectPassphrase) {
+
+                    decryption = null;
+
+                    // Allow the user to try again if only the passphrase
+                    // was wrong
+                    if (incorrectPassphrase && recording.onpassphraserequired)
+                        recording.onpassphraserequired(true);
+
+                    else if (recording.onerror)
+                        recording.onerror(error);
+
+                });
+
+        };
+
+        /**
+         * Returns the underlying display of the Guacamole.Client used by this
+         * SessionRecording for playback. The display contains an Element
+         * which can be added to the DOM, causing the display (and thus playback of
+         * the recording) to become visible.
+         *
+         * @return {Guacamole.Display}
+         *     The underlying display of the Guacamole.Client used by this
+         *     SessionRecording for playback.
+         */
+        this.getDisplay = function getDisplay() {
+            return playbackClient.getDisplay();
+        };
+
+        /**
+         * Returns the SHA-256 hash of the recording exactly as it was provided
+         * or downloaded (prior to any decryption or decompression).
+         *
+         * @returns {String}
+         *     The SHA-256 hash of the recording, as a lowercase hexadecimal
+         *     string, or null if the hash has not yet been calculated.
+         */
+        this.getHash = function getHash() {
+            return hash;
+        };
+
+        /**
+         * Returns the cache containing the client state of each keyframe
+         * generated for this recording. The memory limit of the cache and
+         * whether evicted state is retained within IndexedDB may be changed
+         * through the returned cache at any time.
+         *
+         * @returns {KeyframeCache}
+         *     The cache containing the client state of each keyframe.
+         */
+        this.getKeyframeCache = function getKeyframeCache() {
+            return keyframeCache;
+        };
+
+        /**
+         * Returns all key presses recorded within the portion of the recording
+         * loaded thus far, in chronological order. The timestamp of each key
+         * press is relative to the start of the recording, in milliseconds.
+         * The returned array is updated as loading progresses.
+         *
+         * @returns {KeyEventInterpreter.KeyEvent[]}
+         *     All key presses recorded within the recording loaded thus far.
+         */
+        this.getKeyEvents = function getKeyEvents() {
+            return keyEventInterpreter.getEvents();
+        };
+
+        /**
+         * Returns whether playback is currently in progress.
+         *
+         * @returns {Boolean}
+         *     true if playback is currently in progress, false otherwise.
+         */
+        this.isPlaying = function isPlaying() {
+            return !!startVideoTimestamp;
+        };
+
+        /**
+         * Returns the current playback position within the recording, in
+         * milliseconds, where zero is the start of the recording.
+         *
+         * @returns {Number}
+         *     The current playback position within the recording, in milliseconds.
+         */
+        this.getPosition = function getPosition() {
+
+            // Position is simply zero if playback has not started at all
+            if (currentFrame === -1)
+                return 0;
+
+            // Return current position as a millisecond timestamp relative to the
+            // start of the recording
+            return toRelativeTimestamp(frames[currentFrame].timestamp);
+
+        };
+
+        /**
+         * Returns the index of the frame currently displayed, where the first
+         * frame of the recording has index 0. If no frame has yet been
+         * displayed, this will be -1.
+         *
+         * @returns {Number}
+         *     The index of the frame currently displayed, or -1 if no frame
+         *     has yet been displayed.
+         */
+        this.getCurrentFrame = function getCurrentFrame() {
+            return currentFrame;
+        };
+
+        /**
+         * Returns the duration of this recording, in milliseconds. If the
+         * recording is still being downloaded, this value will gradually increase.
+         *
+         * @returns {Number}
+         *     The duration of this recording, in milliseconds.
+         */
+        this.getDuration = function getDuration() {
+
+            // If no frames yet exist, duration is zero
+            if (frames.length === 0)
+                return 0;
+
+            // Recording duration is simply the timestamp of the last frame
+            return toRelativeTimestamp(frames[frames.length - 1].timestamp);
+
+        };
+
+        /**
+         * Returns statistics describing the content of this recording, such
+         * as the number of frames, the number of each instruction, and the
+         * size of the display over time.
+         *
+         * @returns {SessionRecording.Statistics}
+         *     Statistics describing the content of this recording, or null if
+         *     the recording has not yet finished loading.
+         */
+        this.getStatistics = function getStatistics() {
+
+            if (!statistics || !frames.length)
+                return null;
+
+            var result = new SessionRecording.Statistics();
+
+            result.start = frames[0].timestamp;
+            result.end = frames[frames.length - 1].timestamp;
+            result.duration = recording.getDuration();
+            result.size = recordingBlob.size;
+            result.frames = frames.length;
+
+            frames.forEach(function countKeyframe(frame) {
+                if (frame.keyframe)
+                    result.keyframes++;
+            });
+
+            if (result.duration)
+                result.bytesPerMinute = result.size / result.duration * 60000;
+
+            result.instructions = angular.copy(statistics.instructions);
+            result.dimensions = angular.copy(statistics.dimensions);
+            result.layers = statistics.layers;
+            result.buffers = statistics.buffers;
+            result.streams = angular.copy(statistics.streams);
+
+            return result;
+
+        };
+
+        /**
+         * Returns every damaged region of this recording which was skipped
+         * because it could not be parsed, such as the incomplete end of a
+         * truncated recording. Playback of a damaged recording includes only
+         * the frames which could be recovered.
+         *
+         * @returns {SessionRecording.DamagedRegion[]}
+         *     Every damaged region of this recording, in order of
+         *     occurrence. If the recording is not damaged, this will be an
+         *     empty array.
+         */
+        this.getDamagedRegions = function getDamagedRegions() {
+            return damagedRegions.map(function copyRegion(region) {
+                return new SessionRecording.DamagedRegion(region.start, region.end, region.timestamp);
+            });
+        };
+
+        /**
+         * Exports the given portion of this recording as a standalone
+         * recording. The exported recording begins with a single frame that
+         * recreates the display as it appeared at the start of the portion,
+         * followed by the original frames of the recording up to the end of
+         * the portion. The timestamps of the original frames are preserved,
+         * and any damaged regions are omitted. If no frames have been
+         * loaded, this function has no effect beyond returning an
+         * AbortController which has already been aborted.
+         *
+         * @param {Number} start
+         *     The position of the start of the portion to export, in
+         *     milliseconds.
+         *
+         * @param {Number} end
+         *     The position of the end of the portion to export, in
+         *     milliseconds.
+         *
+         * @param {Function} callback
+         *     The callback to invoke with a Blob containing the exported
+         *     recording.
+         *
+         * @returns {AbortController}
+         *     An AbortController which may be used to stop the export. The
+         *     callback is not invoked once the export is aborted.
+         */
+        this.exportRange = function exportRange(start, end, callback) {
+
+            var controller = new AbortController();
+
+            if (frames.length === 0) {
+                controller.abort();
+                return controller;
+            }
+
+            var startIndex = findFrame(0, frames.length - 1, start);
+            var endIndex = findFrame(startIndex, frames.length - 1, end);
+
+            getFrameState(startIndex, function stateRetrieved(state) {
+
+                var parts = [ createStateInstructions(state, frames[startIndex].timestamp) ];
+
+                // Copy the original frames verbatim, merging runs of
+                // consecutive frames into a single slice (frames are
+                // separated only where damaged data was skipped)
+                var runStart = null;
+                var runEnd = null;
+                for (var i = startIndex + 1; i <= endIndex; i++) {
+
+                    var frame = frames[i];
+                    if (frame.start !== runEnd) {
+                        if (runStart !== null)
+                            parts.push(recordingBlob.slice(runStart, runEnd));
+                        runStart = frame.start;
+                    }
+
+                    runEnd = frame.end;
+
+                }
+
+                if (runStart !== null)
+                    parts.push(recordingBlob.slice(runStart, runEnd));
+
+                callback(new Blob(parts));
+
+            }, controller.signal);
+
+            return controller;
+
+        };
+
+        /**
+         * Returns the rate at which playback proceeds relative to real time,
+         * where 1 is normal speed, 2 is double speed, etc.
+         *
+         * @returns {Number}
+         *     The current playback rate.
+         */
+        this.getPlaybackRate = function getPlaybackRate() {
+            return playbackRate;
+        };
+
+        /**
+         * Sets the rate at which playback proceeds relative to real time,
+         * where 1 is normal speed, 2 is double speed, etc. The rate is
+         * clamped to the range defined by SessionRecording.MIN_PLAYBACK_RATE
+         * and SessionRecording.MAX_PLAYBACK_RATE. If playback is in progress,
+         * the new rate takes effect immediately.
+         *
+         * @param {Number} rate
+         *     The desired playback rate.
+         */
+        this.setPlaybackRate = function setPlaybackRate(rate) {
+
+            rate = Math.min(Math.max(rate, SessionRecording.MIN_PLAYBACK_RATE),
+                SessionRecording.MAX_PLAYBACK_RATE);
+
+            // Re-anchor the timestamps used for scheduling frames such that
+            // frames prior to the current moment retain their original timing
+            // and only future frames are affected by the new rate
+            if (recording.isPlaying()) {
+
+                var now = new Date().getTime();
+                startVideoTimestamp += (now - startRealTimestamp) * playbackRate;
+                startRealTimestamp = now;
+                playbackRate = rate;
+
+                // Reschedule the upcoming frame if it is still waiting for a
+                // delay calculated using the old rate (if the frame is
+                // already being replayed, the following frame will be
+                // scheduled using the new rate automatically)
+                if (activeSeek && activeSeek.timeout) {
+                    abortSeek();
+                    continuePlayback();
+                }
+
+            }
+
+            else
+                playbackRate = rate;
+
+        };
+
+        /**
+         * Returns the maximum number of real milliseconds which may elapse
+         * between the playback of consecutive frames while skipping periods of
+         * inactivity.
+         *
+         * @returns {Number}
+         *     The current inactivity threshold, in milliseconds, or null if
+         *     periods of inactivity are played back in full.
          */
-        this.abort = function abort() {
-            if (!aborted) {
-                aborted = true;
-                if (recording.onabort)
-                    recording.onabort();
-            }
+        this.getInactivityThreshold = function getInactivityThreshold() {
+            return inactivityThreshold;
         };
 
         /**
-         * Returns the underlying display of the Guacamole.Client used by this
-         * SessionRecording for playback. The display contains an Element
-         * which can be added to the DOM, causing the display (and thus playback of
-         * the recording) to become visible.
+         * Sets the maximum number of real milliseconds which may elapse
+         * between the playback of consecutive frames. Longer periods of
+         * inactivity within the recording will be shortened to this duration
+         * during playback. Positions within the recording, such as those
+         * reported via onseek and getPosition(), are unaffected and continue
+         * to reflect actual time within the recording.
          *
-         * @return {Guacamole.Display}
-         *     The underlying display of the Guacamole.Client used by this
-         *     SessionRecording for playback.
+         * @param {Number} threshold
+         *     The maximum delay between frames, in milliseconds, or null if
+         *     periods of inactivity should be played back in full.
          */
-        this.getDisplay = function getDisplay() {
-            return playbackClient.getDisplay();
+        this.setInactivityThreshold = function setInactivityThreshold(threshold) {
+            inactivityThreshold = (threshold === null || threshold === undefined) ? null : Math.max(threshold, 0);
         };
 
         /**
-         * Returns whether playback is currently in progress.
+         * Returns all periods of inactivity within the frames loaded thus far
+         * which last longer than the given threshold. A period of inactivity
+         * is the time between two consecutive frames.
          *
-         * @returns {Boolean}
-         *     true if playback is currently in progress, false otherwise.
+         * @param {Number} threshold
+         *     The minimum duration of a period of inactivity, in milliseconds.
+         *
+         * @returns {Object[]}
+         *     An array of objects describing each period of inactivity, in
+         *     chronological order. Each object has a "start" and "end"
+         *     property containing the position of the beginning and end of
+         *     that period within the recording, in milliseconds.
          */
-        this.isPlaying = function isPlaying() {
-            return !!startVideoTimestamp;
+        this.getIdlePeriods = function getIdlePeriods(threshold) {
+
+            var periods = [];
+
+            for (var i = 1; i < frames.length; i++) {
+                if (frames[i].timestamp - frames[i - 1].timestamp > threshold) {
+                    periods.push({
+                        start : toRelativeTimestamp(frames[i - 1].timestamp),
+                        end   : toRelativeTimestamp(frames[i].timestamp)
+                    });
+                }
+            }
+
+            return periods;
+
         };
 
         /**
-         * Returns the current playback position within the recording, in
-         * milliseconds, where zero is the start of the recording.
+         * Renders a small image of the display as it appears at the given
+         * position within the recording, without affecting playback or the
+         * display returned by getDisplay(). The image is rendered within a
+         * separate, off-screen Guacamole.Client, starting from the nearest
+         * cached keyframe. Only one preview is rendered at a time. If further
+         * previews are requested while a preview is being rendered, only the
+         * most recent request is rendered next, with the callbacks of all
+         * other requests invoked with null.
          *
-         * @returns {Number}
-         *     The current playback position within the recording, in milliseconds.
+         * @param {Number} position
+         *     The position within the recording to render, in milliseconds.
+         *
+         * @param {Number} width
+         *     The width of the preview, in pixels. The height of the preview
+         *     is chosen to preserve the aspect ratio of the display.
+         *
+         * @param {Function} callback
+         *     The callback to invoke with a canvas containing the preview, or
+         *     with null if no preview could be rendered. The same canvas may
+         *     be passed to later invocations of this callback and must not be
+         *     modified. If loading of the recording has been aborted, this
+         *     callback is invoked with null.
          */
-        this.getPosition = function getPosition() {
+        this.getPreview = function getPreview(position, width, callback) {
 
-            // Position is simply zero if playback has not started at all
-            if (currentFrame === -1)
-                return 0;
+            if (aborted || !frames.length) {
+                callback(null);
+                return;
+            }
 
-            // Return current position as a millisecond timestamp relative to the
-            // start of the recording
-            return toRelativeTimestamp(frames[currentFrame].timestamp);
+            var request = {
+                frame    : findFrame(0, frames.length - 1, position),
+                width    : width,
+                callback : callback
+            };
+
+            // Replace any preview still waiting to be rendered
+            if (previewInProgress) {
+                if (pendingPreview)
+                    pendingPreview.callback(null);
+                pendingPreview = request;
+                return;
+            }
+
+            renderPreview(request);
 
         };
 
         /**
-         * Returns the duration of this recording, in milliseconds. If the
-         * recording is still being downloaded, this value will gradually increase.
+         * Returns the activity within this recording, divided into the given
+         * number of equal periods spanning the entire recording. The activity
+         * of each frame is attributed to the period containing the timestamp
+         * of that frame. If no frames have been loaded, an empty array is
+         * returned.
          *
-         * @returns {Number}
-         *     The duration of this recording, in milliseconds.
+         * @param {Number} count
+         *     The number of periods to divide the recording into.
+         *
+         * @returns {SessionRecording.Activity[]}
+         *     The activity within each period, in chronological order.
          */
-        this.getDuration = function getDuration() {
+        this.getActivity = function getActivity(count) {
 
-            // If no frames yet exist, duration is zero
-            if (frames.length === 0)
-                return 0;
+            if (!frames.length)
+                return [];
 
-            // Recording duration is simply the timestamp of the last frame
-            return toRelativeTimestamp(frames[frames.length - 1].timestamp);
+            var duration = recording.getDuration();
+            var periods = [];
+
+            for (var i = 0; i < count; i++)
+                periods.push(new SessionRecording.Activity(duration * i / count,
+                    duration * (i + 1) / count));
+
+            frames.forEach(function addActivity(frame) {
+
+                // Frames at the very end of the recording (or all frames, if
+                // the recording has no duration) belong to the last period
+                var position = toRelativeTimestamp(frame.timestamp);
+                var period = periods[duration ? Math.min(Math.floor(position / duration * count), count - 1) : count - 1];
+
+                period.drawing += frame.drawing;
+                period.input += frame.input;
+                period.resizes += frame.resizes;
+
+            });
+
+            return periods;
 
         };
 
@@ -775,6 +2548,7 @@ angular.module('player').factory('SessionRecording', [function defineSessionReco
                 var next = frames[currentFrame + 1];
                 startVideoTimestamp = next.timestamp;
                 startRealTimestamp = new Date().getTime();
+                compressedFrame = null;
 
                 // Begin playback of video
                 continuePlayback();
@@ -799,9 +2573,13 @@ angular.module('player').factory('SessionRecording', [function defineSessionReco
          */
         this.seek = function seek(position, callback) {
 
-            // Do not seek if no frames exist
-            if (frames.length === 0)
+            // Do not seek if no frames exist, but still notify the caller
+            // that there is nothing further to wait for
+            if (frames.length === 0) {
+                if (callback)
+                    callback();
                 return;
+            }
 
             // Abort active seek operation, if any
             recording.cancel();
@@ -833,6 +2611,44 @@ angular.module('player').factory('SessionRecording', [function defineSessionReco
 
         };
 
+        /**
+         * Pauses playback and advances to the frame following the current
+         * frame. If the current frame is the last frame loaded so far,
+         * playback is only paused. If no frames have been loaded, this
+         * function has no effect.
+         *
+         * @param {Function} [callback]
+         *     The callback to invoke once the next frame has been reached.
+         */
+        this.nextFrame = function nextFrame(callback) {
+
+            if (frames.length === 0)
+                return;
+
+            stepToFrame(Math.min(currentFrame + 1, frames.length - 1), callback);
+
+        };
+
+        /**
+         * Pauses playback and moves back to the frame preceding the current
+         * frame. As frames cannot be undone, the state of the preceding frame
+         * is reconstructed from the nearest keyframe, replaying the frames
+         * which follow that keyframe. If the current frame is the first frame,
+         * playback is only paused. If no frames have been loaded, this
+         * function has no effect.
+         *
+         * @param {Function} [callback]
+         *     The callback to invoke once the previous frame has been reached.
+         */
+        this.previousFrame = function previousFrame(callback) {
+
+            if (frames.length === 0)
+                return;
+
+            stepToFrame(Math.max(currentFrame - 1, 0), callback);
+
+        };
+
         /**
          * Cancels the current seek operation, setting the current frame of the
          * recording to wherever the seek operation was able to reach prior to
@@ -876,6 +2692,234 @@ angular.module('player').factory('SessionRecording', [function defineSessionReco
 
     };
 
+    /**
+     * The slowest playback rate supported by setPlaybackRate().
+     *
+     * @constant
+     * @type {Number}
+     */
+    SessionRecording.MIN_PLAYBACK_RATE = 0.25;
+
+    /**
+     * The fastest playback rate supported by setPlaybackRate().
+     *
+     * @constant
+     * @type {Number}
+     */
+    SessionRecording.MAX_PLAYBACK_RATE = 32;
+
+    /**
+     * The URL of the Web Worker script which indexes recordings, relative to
+     * the page containing the player.
+     *
+     * @constant
+     * @type {String}
+     */
+    SessionRecording.INDEXER_URL = 'workers/indexer.js';
+
+    /**
+     * A region of a session recording which could not be parsed and was
+     * skipped. Byte offsets refer to the recording after any decryption and
+     * decompression.
+     *
+     * @constructor
+     * @param {Number} start
+     *     The byte offset of the first byte skipped.
+     *
+     * @param {Number} end
+     *     The byte offset of the byte following the last byte skipped.
+     *
+     * @param {Number} timestamp
+     *     The timestamp of the last intact frame preceding the region,
+     *     relative to the start of the recording.
+     */
+    SessionRecording.DamagedRegion = function DamagedRegion(start, end, timestamp) {
+
+        /**
+         * The byte offset of the first byte skipped.
+         *
+         * @type {Number}
+         */
+        this.start = start;
+
+        /**
+         * The byte offset of the byte following the last byte skipped.
+         *
+         * @type {Number}
+         */
+        this.end = end;
+
+        /**
+         * The timestamp of the last intact frame preceding the region,
+         * relative to the start of the recording, in milliseconds.
+         *
+         * @type {Number}
+         */
+        this.timestamp = timestamp;
+
+    };
+
+    /**
+     * The activity within a period of a session recording.
+     *
+     * @constructor
+     * @param {Number} start
+     *     The position of the start of the period, in milliseconds.
+     *
+     * @param {Number} end
+     *     The position of the end of the period, in milliseconds.
+     */
+    SessionRecording.Activity = function Activity(start, end) {
+
+        /**
+         * The position of the start of the period within the recording, in
+         * milliseconds.
+         *
+         * @type {Number}
+         */
+        this.start = start;
+
+        /**
+         * The position of the end of the period within the recording, in
+         * milliseconds.
+         *
+         * @type {Number}
+         */
+        this.end = end;
+
+        /**
+         * The number of bytes of drawing instructions within the period,
+         * including the data of any image or video streams.
+         *
+         * @type {Number}
+         */
+        this.drawing = 0;
+
+        /**
+         * The number of input events (key, mouse, and touch events) within
+         * the period.
+         *
+         * @type {Number}
+         */
+        this.input = 0;
+
+        /**
+         * The number of times the size of the display changes within the
+         * period.
+         *
+         * @type {Number}
+         */
+        this.resizes = 0;
+
+    };
+
+    /**
+     * Statistics describing the content of a session recording.
+     *
+     * @constructor
+     */
+    SessionRecording.Statistics = function Statistics() {
+
+        /**
+         * The absolute timestamp of the first frame of the recording, as
+         * dictated by its "sync" instruction. For recordings produced by
+         * Guacamole, this is the number of milliseconds since midnight of
+         * January 1, 1970 UTC.
+         *
+         * @type {Number}
+         */
+        this.start = 0;
+
+        /**
+         * The absolute timestamp of the last frame of the recording, as
+         * dictated by its "sync" instruction.
+         *
+         * @type {Number}
+         */
+        this.end = 0;
+
+        /**
+         * The duration of the recording, in milliseconds.
+         *
+         * @type {Number}
+         */
+        this.duration = 0;
+
+        /**
+         * The size of the recording, in bytes, after any decryption and
+         * decompression.
+         *
+         * @type {Number}
+         */
+        this.size = 0;
+
+        /**
+         * The average number of bytes of recording data per minute of
+         * recording, or null if the recording has no duration.
+         *
+         * @type {Number}
+         */
+        this.bytesPerMinute = null;
+
+        /**
+         * The number of frames within the recording.
+         *
+         * @type {Number}
+         */
+        this.frames = 0;
+
+        /**
+         * The number of frames within the recording which are flagged for
+         * use as keyframes.
+         *
+         * @type {Number}
+         */
+        this.keyframes = 0;
+
+        /**
+         * The number of times each instruction occurs within the recording,
+         * keyed by opcode.
+         *
+         * @type {Object.<String, Number>}
+         */
+        this.instructions = {};
+
+        /**
+         * Each distinct size of the display, in order of occurrence, with
+         * each size represented as an array containing the timestamp at
+         * which the display took that size (relative to the start of the
+         * recording), the width, and the height.
+         *
+         * @type {Array[]}
+         */
+        this.dimensions = [];
+
+        /**
+         * The number of distinct visible layers (including the default
+         * layer) referenced by the recording.
+         *
+         * @type {Number}
+         */
+        this.layers = 0;
+
+        /**
+         * The number of distinct off-screen buffers referenced by the
+         * recording.
+         *
+         * @type {Number}
+         */
+        this.buffers = 0;
+
+        /**
+         * The number of streams opened within the recording, keyed by
+         * mimetype.
+         *
+         * @type {Object.<String, Number>}
+         */
+        this.streams = {};
+
+    };
+
     /**
      * A single frame of Guacamole session data. Each frame is made up of the set
      * of instructions used to generate that frame, and the timestamp as dictated
@@ -890,20 +2934,20 @@ angular.module('player').factory('SessionRecording', [function defineSessionReco
      *     terminates the frame.
      *
      * @param {Number} start
-     *     The byte offset within the blob of the first character of the first
+     *     The byte offset within the blob of the first byte of the first
      *     instruction of this frame.
      *
      * @param {Number} end
-     *     The byte offset within the blob of character which follows the last
-     *     character of the last instruction of this frame.
+     *     The byte offset within the blob of the byte which follows the last
+     *     byte of the last instruction of this frame.
      */
     SessionRecording._Frame = function _Frame(timestamp, start, end) {
 
         /**
          * Whether this frame should be used as a keyframe if possible. This value
-         * is purely advisory. The stored clientState must eventually be manually
-         * set for the frame to be used as a keyframe. By default, frames are not
-         * keyframes.
+         * is purely advisory. The client state after this frame was rendered must
+         * eventually be stored within the keyframe cache for the frame to be used
+         * as a keyframe. By default, frames are not keyframes.
          *
          * @type {Boolean}
          * @default false
@@ -919,7 +2963,7 @@ angular.module('player').factory('SessionRecording', [function defineSessionReco
         this.timestamp = timestamp;
 
         /**
-         * The byte offset within the blob of the first character of the first
+         * The byte offset within the blob of the first byte of the first
          * instruction of this frame.
          *
          * @type {Number}
@@ -927,22 +2971,38 @@ angular.module('player').factory('SessionRecording', [function defineSessionReco
         this.start = start;
 
         /**
-         * The byte offset within the blob of character which follows the last
-         * character of the last instruction of this frame.
+         * The byte offset within the blob of the byte which follows the last
+         * byte of the last instruction of this frame.
          *
          * @type {Number}
          */
         this.end = end;
 
         /**
-         * A snapshot of client state after this frame was rendered, as returned by
-         * a call to exportState(). If no such snapshot has been taken, this will
-         * be null.
+         * The number of bytes of drawing instructions within this frame,
+         * excluding changes to the size of the display.
          *
-         * @type {Object}
-         * @default null
+         * @type {Number}
+         * @default 0
+         */
+        this.drawing = 0;
+
+        /**
+         * The number of input events within this frame.
+         *
+         * @type {Number}
+         * @default 0
+         */
+        this.input = 0;
+
+        /**
+         * The number of times the size of the display changes within this
+         * frame.
+         *
+         * @type {Number}
+         * @default 0
          */
-        this.clientState = null;
+        this.resizes = 0;
 
     };
 
@@ -0,0 +1,618 @@
+/*
+ * Copyright (C) 2019 Glyptodon, Inc.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+ * THE SOFTWARE.
+ */
+
+/**
+ * Web Worker which divides a Guacamole session recording into frames, selects
+ * the frames which should be used as keyframes, measures the activity within
+ * each frame, and extracts all key events, without blocking the page which
+ * displays the recording.
+ *
+ * Indexing begins when a message is received containing the recording to be
+ * indexed as its "blob" property. As indexing progresses, "progress" messages
+ * are sent containing the portion of the index built since the previous
+ * message ("index", in the same form as FrameIndexCache.FrameIndex), the
+ * number of bytes indexed thus far ("parsed"), and the size of the recording
+ * in bytes ("total"). Damaged portions of the recording which cannot be
+ * parsed, including any incomplete data at the end of a truncated recording,
+ * are skipped and listed within the index.
+ *
+ * A "complete" message is sent once the entire recording has been indexed,
+ * containing statistics describing the recording ("statistics", in the same
+ * form as FrameIndexCache.Statistics). If the recording cannot be indexed, an
+ * "error" message is sent instead, containing the "name" and human-readable
+ * "message" of the exception which prevented indexing. The type of each
+ * message is given by its "type" property.
+ */
+
+importScripts('../lib/guacamole-common-js/all.min.js?v=${project.version}');
+
+/**
+ * The number of bytes that should be read from the recording in each read
+ * operation. A "progress" message is sent after each block is indexed.
+ *
+ * @constant
+ * @type {Number}
+ */
+var BLOCK_SIZE = 262144;
+
+/**
+ * The minimum number of bytes which must have been read between keyframes.
+ *
+ * @constant
+ * @type {Number}
+ */
+var KEYFRAME_BYTE_INTERVAL = 16384;
+
+/**
+ * The minimum number of milliseconds which must elapse between keyframes.
+ *
+ * @constant
+ * @type {Number}
+ */
+var KEYFRAME_TIME_INTERVAL = 5000;
+
+/**
+ * The number of bytes that should be reread from the end of the previous
+ * block when searching for an intact "sync" instruction, such that
+ * instructions which span the boundary between blocks are found.
+ *
+ * @constant
+ * @type {Number}
+ */
+var SYNC_SEARCH_OVERLAP = 64;
+
+/**
+ * Regular expression which matches a complete "sync" instruction, capturing
+ * the declared length and value of its timestamp.
+ *
+ * @constant
+ * @type {RegExp}
+ */
+var SYNC_INSTRUCTION = /4\.sync,([0-9]+)\.([0-9]+)(?:,[0-9]+\.[0-9]+)*;/g;
+
+/**
+ * The indices of the arguments of each instruction which refer to layers or
+ * buffers, for all instructions which refer to layers or buffers.
+ *
+ * @constant
+ * @type {Object.<String, Number[]>}
+ */
+var LAYER_ARGUMENTS = {
+    'arc'       : [ 0 ],
+    'cfill'     : [ 1 ],
+    'clip'      : [ 0 ],
+    'close'     : [ 0 ],
+    'copy'      : [ 0, 6 ],
+    'cstroke'   : [ 1 ],
+    'cursor'    : [ 2 ],
+    'curve'     : [ 0 ],
+    'dispose'   : [ 0 ],
+    'distort'   : [ 0 ],
+    'identity'  : [ 0 ],
+    'img'       : [ 2 ],
+    'lfill'     : [ 1, 2 ],
+    'line'      : [ 0 ],
+    'lstroke'   : [ 1, 5 ],
+    'move'      : [ 0, 1 ],
+    'pop'       : [ 0 ],
+    'push'      : [ 0 ],
+    'rect'      : [ 0 ],
+    'reset'     : [ 0 ],
+    'set'       : [ 0 ],
+    'shade'     : [ 0 ],
+    'size'      : [ 0 ],
+    'start'     : [ 0 ],
+    'transfer'  : [ 0, 6 ],
+    'transform' : [ 0 ],
+    'video'     : [ 1 ]
+};
+
+/**
+ * The index of the argument containing the mimetype of the stream opened by
+ * each instruction, for all instructions which open streams.
+ *
+ * @constant
+ * @type {Object.<String, Number>}
+ */
+var STREAM_MIMETYPE_ARGUMENTS = {
+    'audio' : 1,
+    'file'  : 1,
+    'img'   : 3,
+    'pipe'  : 1,
+    'video' : 2
+};
+
+/**
+ * The opcodes of all instructions which represent user input.
+ *
+ * @constant
+ * @type {Object.<String, Boolean>}
+ */
+var INPUT_INSTRUCTIONS = {
+    'key'   : true,
+    'mouse' : true,
+    'touch' : true
+};
+
+/**
+ * The opcodes of all instructions which open streams whose data is drawn to
+ * the display.
+ *
+ * @constant
+ * @type {Object.<String, Boolean>}
+ */
+var DRAWING_STREAM_INSTRUCTIONS = {
+    'img'   : true,
+    'video' : true
+};
+
+/**
+ * Calculates the number of bytes required to represent the given string
+ * using UTF-8.
+ *
+ * @param {String} value
+ *     The string to measure.
+ *
+ * @returns {Number}
+ *     The number of bytes within the UTF-8 representation of the given
+ *     string.
+ */
+var getUTF8Length = function getUTF8Length(value) {
+
+    var length = 0;
+
+    for (var i = 0; i < value.length; i++) {
+
+        var codeUnit = value.charCodeAt(i);
+
+        // Single-byte (ASCII) characters
+        if (codeUnit < 0x80)
+            length += 1;
+
+        // Two-byte characters
+        else if (codeUnit < 0x800)
+            length += 2;
+
+        // Surrogate pairs represent a single four-byte character
+        else if (codeUnit >= 0xD800 && codeUnit <= 0xDBFF && i + 1 < value.length) {
+            length += 4;
+            i++;
+        }
+
+        // All other characters within the BMP require three bytes
+        else
+            length += 3;
+
+    }
+
+    return length;
+
+};
+
+/**
+ * Calculates the size of the given Guacamole instruction element, in bytes,
+ * as the element would be encoded within the recording using UTF-8. The size
+ * returned includes the digits which make up the length, the "." separator
+ * between the length and the element itself, and the "," or ";" terminator
+ * which follows the element.
+ *
+ * @param {String} value
+ *     The value of the element which has already been parsed (lacks the
+ *     initial length, "." separator, and "," or ";" terminator).
+ *
+ * @returns {Number}
+ *     The number of bytes which would make up the given element within a
+ *     Guacamole instruction.
+ */
+var getElementSize = function getElementSize(value) {
+
+    var valueLength = value.length;
+
+    // Calculate base size, assuming at least one digit, the "." separator,
+    // and the "," or ";" terminator
+    var protocolSize = getUTF8Length(value) + 3;
+
+    // Add one byte for each additional digit that would occur in the element
+    // length prefix
+    while (valueLength >= 10) {
+        protocolSize++;
+        valueLength = Math.floor(valueLength / 10);
+    }
+
+    return protocolSize;
+
+};
+
+/**
+ * Returns a new, empty index, in the same form as FrameIndexCache.FrameIndex.
+ *
+ * @returns {Object}
+ *     A new, empty index.
+ */
+var createIndex = function createIndex() {
+    return {
+        timestamps : [],
+        starts     : [],
+        ends       : [],
+        keyframes  : [],
+        drawing    : [],
+        input      : [],
+        resizes    : [],
+        keyFrames  : [],
+        keys       : [],
+        damage     : []
+    };
+};
+
+/**
+ * Searches the given recording for the first intact "sync" instruction
+ * beginning at or after the given byte offset, such that parsing can resume
+ * at a frame boundary following damaged data.
+ *
+ * @param {FileReaderSync} reader
+ *     The reader to use to read the recording.
+ *
+ * @param {Blob} blob
+ *     The recording to search.
+ *
+ * @param {Number} offset
+ *     The byte offset at which the search should begin.
+ *
+ * @returns {Number}
+ *     The byte offset immediately following the first intact "sync"
+ *     instruction found, or -1 if no such instruction exists.
+ */
+var findSync = function findSync(reader, blob, offset) {
+
+    // Each byte maps to exactly one character in windows-1252, and the
+    // instruction being sought is entirely ASCII
+    var decoder = new TextDecoder('windows-1252');
+
+    while (offset < blob.size) {
+
+        var block = blob.slice(offset, offset + BLOCK_SIZE);
+        var data = decoder.decode(new Uint8Array(reader.readAsArrayBuffer(block)));
+
+        SYNC_INSTRUCTION.lastIndex = 0;
+
+        var match;
+        while ((match = SYNC_INSTRUCTION.exec(data))) {
+
+            // Only accept instructions whose timestamp has the length
+            // declared for it
+            if (parseInt(match[1]) === match[2].length)
+                return offset + match.index + match[0].length;
+
+        }
+
+        // Stop once the end of the recording is reached, otherwise continue
+        // with the next block, rereading enough of the current block to find
+        // any instruction spanning the two
+        if (offset + block.size >= blob.size)
+            break;
+
+        offset += Math.max(block.size - SYNC_SEARCH_OVERLAP, 1);
+
+    }
+
+    return -1;
+
+};
+
+/**
+ * Returns a new, empty set of recording statistics, in the same form as
+ * FrameIndexCache.Statistics.
+ *
+ * @returns {Object}
+ *     A new, empty set of recording statistics.
+ */
+var createStatistics = function createStatistics() {
+    return {
+        instructions : {},
+        dimensions   : [],
+        layers       : 0,
+        buffers      : 0,
+        streams      : {}
+    };
+};
+
+/**
+ * Indexes the given recording in its entirety, sending "progress" messages
+ * as each block is indexed, followed by a "complete" message.
+ *
+ * @param {Blob} blob
+ *     The recording to index.
+ */
+var indexRecording = function indexRecording(blob) {
+
+    var reader = new FileReaderSync();
+    var decoder;
+    var parser;
+
+    // The portion of the index not yet sent to the page
+    var index = createIndex();
+
+    // Statistics describing the entire recording, and the layers/buffers
+    // referenced thus far
+    var statistics = createStatistics();
+    var layersUsed = {};
+
+    // The total number of frames indexed thus far
+    var frameCount = 0;
+
+    // The timestamp of the first frame, and the start offset and timestamp
+    // of the most recent keyframe
+    var firstTimestamp = null;
+    var lastKeyframe = null;
+
+    // The byte offsets of the start of the current frame and the end of the
+    // most recently parsed instruction
+    var frameStart = 0;
+    var frameEnd = 0;
+
+    // The timestamp of the most recent frame
+    var lastTimestamp = 0;
+
+    // The number of bytes of drawing instructions, input events, and changes
+    // to the size of the display within the current frame
+    var frameDrawing = 0;
+    var frameInput = 0;
+    var frameResizes = 0;
+
+    // The key events within the current frame, which are added to the index
+    // only if the frame is intact
+    var frameKeys = [];
+
+    // The indices of all open streams whose data is drawn to the display
+    var drawingStreams = {};
+
+    var instructionReceived = function instructionReceived(opcode, args) {
+
+        // Advance end of frame by overall length of parsed instruction
+        var instructionSize = getElementSize(opcode);
+        for (var i = 0; i < args.length; i++)
+            instructionSize += getElementSize(args[i]);
+
+        frameEnd += instructionSize;
+
+        statistics.instructions[opcode] = (statistics.instructions[opcode] || 0) + 1;
+
+        // Note which streams carry image or video data as they are opened,
+        // as stream indices may be reused for other types of stream
+        if (STREAM_MIMETYPE_ARGUMENTS[opcode] !== undefined) {
+            if (DRAWING_STREAM_INSTRUCTIONS[opcode])
+                drawingStreams[args[0]] = true;
+            else
+                delete drawingStreams[args[0]];
+        }
+
+        // Measure activity within the current frame, with changes to the
+        // size of the display counted separately from other drawing
+        if (opcode === 'size' && args[0] === '0')
+            frameResizes++;
+        else if (INPUT_INSTRUCTIONS[opcode])
+            frameInput++;
+        else if (LAYER_ARGUMENTS[opcode] || ((opcode === 'blob' || opcode === 'end') && drawingStreams[args[0]]))
+            frameDrawing += instructionSize;
+
+        if (opcode === 'end')
+            delete drawingStreams[args[0]];
+
+        // Count each distinct layer (non-negative index) and buffer
+        // (negative index) referenced
+        var layerArguments = LAYER_ARGUMENTS[opcode];
+        for (var j = 0; layerArguments && j < layerArguments.length; j++) {
+
+            var layer = parseInt(args[layerArguments[j]]);
+            if (isNaN(layer) || layersUsed[layer])
+                continue;
+
+            layersUsed[layer] = true;
+
+            if (layer >= 0)
+                statistics.layers++;
+            else
+                statistics.buffers++;
+
+        }
+
+        // Count streams by mimetype
+        var mimetypeArgument = STREAM_MIMETYPE_ARGUMENTS[opcode];
+        if (mimetypeArgument !== undefined) {
+            var mimetype = args[mimetypeArgument];
+            statistics.streams[mimetype] = (statistics.streams[mimetype] || 0) + 1;
+        }
+
+        // Track each change in the size of the display (the default layer)
+        if (opcode === 'size' && args[0] === '0') {
+
+            var width = parseInt(args[1]);
+            var height = parseInt(args[2]);
+            var previous = statistics.dimensions[statistics.dimensions.length - 1];
+
+            if (!previous || previous[1] !== width || previous[2] !== height)
+                statistics.dimensions.push([
+                    firstTimestamp === null ? 0 : Math.max(lastTimestamp - firstTimestamp, 0),
+                    width,
+                    height
+                ]);
+
+        }
+
+        // Once a sync is received, store all instructions since the last
+        // frame as a new frame
+        if (opcode === 'sync') {
+
+            var timestamp = parseInt(args[0]);
+            if (isNaN(timestamp))
+                throw new Error('Invalid timestamp.');
+
+            index.timestamps.push(timestamp);
+            index.starts.push(frameStart);
+            index.ends.push(frameEnd);
+            index.drawing.push(frameDrawing);
+            index.input.push(frameInput);
+            index.resizes.push(frameResizes);
+
+            if (frameKeys.length) {
+                index.keyFrames.push(frameCount);
+                Array.prototype.push.apply(index.keys, frameKeys);
+            }
+
+            if (firstTimestamp === null)
+                firstTimestamp = timestamp;
+
+            // This frame should eventually become a keyframe if enough data
+            // has been processed and enough recording time has elapsed, or
+            // if this is the absolute first frame
+            if (!lastKeyframe || (frameEnd - lastKeyframe.start >= KEYFRAME_BYTE_INTERVAL
+                    && timestamp - lastKeyframe.timestamp >= KEYFRAME_TIME_INTERVAL)) {
+                index.keyframes.push(frameCount);
+                lastKeyframe = {
+                    start     : frameStart,
+                    timestamp : timestamp
+                };
+            }
+
+            frameCount++;
+            frameStart = frameEnd;
+            lastTimestamp = timestamp;
+
+            frameDrawing = frameInput = frameResizes = 0;
+            frameKeys = [];
+
+        }
+
+        // Record key events, using the timestamp of the most recent frame if
+        // the key event lacks a timestamp of its own. Key events are added to
+        // the index once their frame is complete, such that they can always
+        // be read again from the frames listed within keyFrames
+        else if (opcode === 'key') {
+
+            var keyTimestamp = args.length > 2 ? parseInt(args[2]) : lastTimestamp;
+            var relativeTimestamp = firstTimestamp === null ? 0 : keyTimestamp - firstTimestamp;
+
+            frameKeys.push([ parseInt(args[0]), args[1] === '1', Math.max(relativeTimestamp, 0) ]);
+
+        }
+
+    };
+
+    /**
+     * Replaces the current parser and decoder, discarding any partially
+     * parsed data.
+     */
+    var resetParser = function resetParser() {
+        decoder = new TextDecoder('utf-8');
+        parser = new Guacamole.Parser();
+        parser.oninstruction = instructionReceived;
+    };
+
+    /**
+     * Discards the frame currently being parsed, which contains damaged
+     * data, resuming parsing with the frame following the next intact "sync"
+     * instruction. The discarded data is recorded within the index.
+     *
+     * @returns {Number}
+     *     The byte offset at which parsing should resume, or the size of the
+     *     recording if no further frames can be recovered.
+     */
+    var skipDamage = function skipDamage() {
+
+        var resumeOffset = findSync(reader, blob, frameEnd + 1);
+        if (resumeOffset === -1)
+            resumeOffset = blob.size;
+
+        index.damage.push([
+            frameStart,
+            resumeOffset,
+            firstTimestamp === null ? 0 : lastTimestamp - firstTimestamp
+        ]);
+
+        frameStart = frameEnd = resumeOffset;
+        frameDrawing = frameInput = frameResizes = 0;
+        frameKeys = [];
+        resetParser();
+
+        return resumeOffset;
+
+    };
+
+    resetParser();
+
+    for (var offset = 0; offset < blob.size;) {
+
+        var block = blob.slice(offset, offset + BLOCK_SIZE);
+        offset += block.size;
+
+        // Any incomplete character at the end of the block is retained by
+        // the decoder until the next block unless this is the last block
+        var data = decoder.decode(new Uint8Array(reader.readAsArrayBuffer(block)), {
+            stream : offset < blob.size
+        });
+
+        try {
+            parser.receive(data);
+        }
+
+        // Skip past data which cannot be parsed
+        catch (parseError) {
+            offset = skipDamage();
+        }
+
+        // Any data following the last complete instruction is either
+        // truncated or damaged such that parsing cannot continue (such as an
+        // element length which extends past the end of the recording)
+        if (offset >= blob.size && frameEnd < blob.size)
+            offset = skipDamage();
+
+        postMessage({
+            type   : 'progress',
+            index  : index,
+            parsed : offset,
+            total  : blob.size
+        });
+
+        index = createIndex();
+
+    }
+
+    postMessage({
+        type       : 'complete',
+        statistics : statistics
+    });
+
+};
+
+// Index each recording received, reporting any failure to the page
+onmessage = function messageReceived(e) {
+    try {
+        indexRecording(e.data.blob);
+    }
+    catch (error) {
+        postMessage({
+            type    : 'error',
+            name    : error.name,
+            message : error.message
+        });
+    }
+};
@@ -0,0 +1,302 @@
+/*
+ * Copyright (C) 2019 Glyptodon, Inc.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+ * THE SOFTWARE.
+ */
+
+/**
+ * Web Worker which calculates the SHA-256 hash of a session recording. The
+ * recording is hashed incrementally, one block at a time, such that
+ * recordings of any size can be hashed without being read into memory in
+ * their entirety (as would be required by WebCrypto).
+ *
+ * Hashing begins when a message is received containing the recording to be
+ * hashed as its "blob" property. As hashing progresses, "progress" messages
+ * are sent containing the number of bytes hashed thus far ("hashed") and the
+ * size of the recording in bytes ("total"). A "complete" message containing
+ * the hash as a lowercase hexadecimal string ("hash") is sent once the entire
+ * recording has been hashed, or an "error" message with a human-readable
+ * "message" if the recording cannot be read. The type of each message is
+ * given by its "type" property.
+ */
+
+/**
+ * The number of bytes that should be read from the recording in each read
+ * operation. This value must be a multiple of 64 (the SHA-256 block size).
+ *
+ * @constant
+ * @type {Number}
+ */
+var BLOCK_SIZE = 1048576;
+
+/**
+ * The SHA-256 round constants.
+ *
+ * @constant
+ * @type {Uint32Array}
+ */
+var K = new Uint32Array([
+    0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+    0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+    0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+    0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+    0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+    0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+    0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+    0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2
+]);
+
+/**
+ * Incremental SHA-256 hash calculation. Data is provided through calls to
+ * update(), and the final hash is produced with a call to digest().
+ *
+ * @constructor
+ */
+var SHA256 = function SHA256() {
+
+    /**
+     * The current hash state.
+     *
+     * @private
+     * @type {Uint32Array}
+     */
+    var state = new Uint32Array([
+        0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a,
+        0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19
+    ]);
+
+    /**
+     * The message schedule used while processing each 64-byte chunk.
+     *
+     * @private
+     * @type {Uint32Array}
+     */
+    var w = new Int32Array(64);
+
+    /**
+     * Any bytes received which do not yet form a complete 64-byte chunk.
+     *
+     * @private
+     * @type {Uint8Array}
+     */
+    var pending = new Uint8Array(64);
+
+    /**
+     * The number of bytes currently stored within the pending buffer.
+     *
+     * @private
+     * @type {Number}
+     */
+    var pendingLength = 0;
+
+    /**
+     * The total number of bytes received thus far.
+     *
+     * @private
+     * @type {Number}
+     */
+    var length = 0;
+
+    /**
+     * Updates the hash state with each complete 64-byte chunk within the
+     * given range of the given data. The hash state is held within local
+     * variables while the range is processed, as doing so is considerably
+     * faster than updating the state array for each chunk.
+     *
+     * @private
+     * @param {Uint8Array} data
+     *     The data containing the chunks.
+     *
+     * @param {Number} offset
+     *     The offset of the first chunk within the data.
+     *
+     * @param {Number} end
+     *     The offset of the byte following the last chunk within the data.
+     *     The range between offset and end must be a multiple of 64 bytes.
+     */
+    var processChunks = function processChunks(data, offset, end) {
+
+        var a, b, c, d, e, f, g, h, i, j, t1, t2, w15, w2;
+
+        var h0 = state[0], h1 = state[1], h2 = state[2], h3 = state[3];
+        var h4 = state[4], h5 = state[5], h6 = state[6], h7 = state[7];
+
+        for (; offset < end; offset += 64) {
+
+            for (i = 0; i < 16; i++) {
+                j = offset + i * 4;
+                w[i] = (data[j] << 24) | (data[j + 1] << 16) | (data[j + 2] << 8) | data[j + 3];
+            }
+
+            for (i = 16; i < 64; i++) {
+                w15 = w[i - 15];
+                w2 = w[i - 2];
+                w[i] = (w[i - 16] + w[i - 7]
+                    + (((w15 >>> 7) | (w15 << 25)) ^ ((w15 >>> 18) | (w15 << 14)) ^ (w15 >>> 3))
+                    + (((w2 >>> 17) | (w2 << 15)) ^ ((w2 >>> 19) | (w2 << 13)) ^ (w2 >>> 10))) | 0;
+            }
+
+            a = h0; b = h1; c = h2; d = h3;
+            e = h4; f = h5; g = h6; h = h7;
+
+            for (i = 0; i < 64; i++) {
+
+                t1 = (h + (((e >>> 6) | (e << 26)) ^ ((e >>> 11) | (e << 21)) ^ ((e >>> 25) | (e << 7)))
+                    + ((e & f) ^ (~e & g)) + K[i] + w[i]) | 0;
+
+                t2 = ((((a >>> 2) | (a << 30)) ^ ((a >>> 13) | (a << 19)) ^ ((a >>> 22) | (a << 10)))
+                    + ((a & b) ^ (a & c) ^ (b & c))) | 0;
+
+                h = g;
+                g = f;
+                f = e;
+                e = (d + t1) | 0;
+                d = c;
+                c = b;
+                b = a;
+                a = (t1 + t2) | 0;
+
+            }
+
+            h0 = (h0 + a) | 0; h1 = (h1 + b) | 0; h2 = (h2 + c) | 0; h3 = (h3 + d) | 0;
+            h4 = (h4 + e) | 0; h5 = (h5 + f) | 0; h6 = (h6 + g) | 0; h7 = (h7 + h) | 0;
+
+        }
+
+        state[0] = h0; state[1] = h1; state[2] = h2; state[3] = h3;
+        state[4] = h4; state[5] = h5; state[6] = h6; state[7] = h7;
+
+    };
+
+    /**
+     * Updates the hash with the given data.
+     *
+     * @param {Uint8Array} data
+     *     The data to add to the hash.
+     */
+    this.update = function update(data) {
+
+        var offset = 0;
+        length += data.length;
+
+        // Complete any partial chunk from a previous update
+        if (pendingLength) {
+
+            var needed = Math.min(64 - pendingLength, data.length);
+            pending.set(data.subarray(0, needed), pendingLength);
+            pendingLength += needed;
+            offset = needed;
+
+            if (pendingLength < 64)
+                return;
+
+            processChunks(pending, 0, 64);
+            pendingLength = 0;
+
+        }
+
+        // Process all complete chunks directly
+        var end = offset + Math.floor((data.length - offset) / 64) * 64;
+        processChunks(data, offset, end);
+        offset = end;
+
+        // Retain any remaining bytes for later
+        pending.set(data.subarray(offset), 0);
+        pendingLength = data.length - offset;
+
+    };
+
+    /**
+     * Completes the hash calculation, returning the resulting hash. No
+     * further data may be added once this function has been invoked.
+     *
+     * @returns {String}
+     *     The SHA-256 hash of all data provided, as a lowercase hexadecimal
+     *     string.
+     */
+    this.digest = function digest() {
+
+        // Pad with a single 1 bit, zeroes, and the 64-bit length in bits
+        var bitLength = length * 8;
+        var padding = new Uint8Array((pendingLength < 56 ? 64 : 128) - pendingLength);
+        padding[0] = 0x80;
+
+        var view = new DataView(padding.buffer);
+        view.setUint32(padding.length - 8, Math.floor(bitLength / 0x100000000));
+        view.setUint32(padding.length - 4, bitLength >>> 0);
+
+        this.update(padding);
+
+        var hex = '';
+        for (var i = 0; i < 8; i++)
+            hex += ('00000000' + state[i].toString(16)).slice(-8);
+
+        return hex;
+
+    };
+
+};
+
+/**
+ * Calculates the SHA-256 hash of the given recording, sending "progress"
+ * messages as each block is hashed, followed by a "complete" message
+ * containing the hash.
+ *
+ * @param {Blob} blob
+ *     The recording to hash.
+ */
+var hashRecording = function hashRecording(blob) {
+
+    var reader = new FileReaderSync();
+    var hash = new SHA256();
+
+    for (var offset = 0; offset < blob.size;) {
+
+        var block = blob.slice(offset, offset + BLOCK_SIZE);
+        offset += block.size;
+
+        hash.update(new Uint8Array(reader.readAsArrayBuffer(block)));
+
+        postMessage({
+            type   : 'progress',
+            hashed : offset,
+            total  : blob.size
+        });
+
+    }
+
+    postMessage({
+        type : 'complete',
+        hash : hash.digest()
+    });
+
+};
+
+// Hash each recording received, reporting any failure to the page
+onmessage = function messageReceived(e) {
+    try {
+        hashRecording(e.data.blob);
+    }
+    catch (error) {
+        postMessage({
+            type    : 'error',
+            message : error.message
+        });
+    }
+};